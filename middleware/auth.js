@@ -0,0 +1,94 @@
+const Responder = require('../models/Responder');
+const { verifyAccessToken } = require('../utils/tokens');
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Raw token or null
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+}
+
+/**
+ * Require a valid access token and attach the responder to req.responder
+ */
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+    });
+  }
+
+  try {
+    const responder = await Responder.findById(payload.sub);
+
+    if (!responder) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (!responder.active) {
+      return res.status(401).json({ error: 'Account deactivated' });
+    }
+
+    req.responder = responder;
+    next();
+  } catch (error) {
+    console.error('Error authenticating responder:', error);
+    return res.status(500).json({ error: 'Failed to authenticate' });
+  }
+}
+
+/**
+ * Attach req.responder when a valid token is present, otherwise continue
+ * anonymously. A token that is present but invalid is still rejected.
+ */
+function optionalAuth(req, res, next) {
+  if (!getBearerToken(req)) return next();
+  return authenticate(req, res, next);
+}
+
+/**
+ * Socket.IO middleware - identify responders from handshake.auth.token.
+ * Sockets without a token connect anonymously (public clients);
+ * sockets with a bad token are rejected.
+ */
+async function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  if (!token) return next();
+
+  try {
+    const payload = verifyAccessToken(token);
+    const responder = await Responder.findById(payload.sub).lean();
+
+    if (!responder || responder.active === false) {
+      return next(new Error('Invalid token'));
+    }
+
+    socket.data.responder = {
+      id: responder._id.toString(),
+      name: responder.name,
+      role: responder.role,
+      department: responder.department,
+      zones: (responder.zones || []).map(String)
+    };
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+}
+
+module.exports = { authenticate, optionalAuth, authenticateSocket, getBearerToken };
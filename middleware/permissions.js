@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { authenticate } = require('./auth');
+
+/**
+ * Actions that can be granted to a role
+ */
+const ACTIONS = {
+  INCIDENT_VERIFY: 'incident:verify',
+  INCIDENT_STATUS: 'incident:status',
+  INCIDENT_ASSIGN: 'incident:assign',
+  INCIDENT_MERGE: 'incident:merge',
+  INCIDENT_DELETE: 'incident:delete',
+  INCIDENT_RESTORE: 'incident:restore',
+  INCIDENT_VIEW_ARCHIVED: 'incident:view-archived',
+  INCIDENT_TIMELINE: 'incident:timeline',
+  INCIDENT_MEDIA_DELETE: 'incident:media-delete',
+  INCIDENT_FLAG: 'incident:flag',
+  INCIDENT_TAG: 'incident:tag',
+  INCIDENT_AREA: 'incident:area',
+  INCIDENT_BULK: 'incident:bulk',
+  SLA_VIEW: 'sla:view',
+  ANALYTICS_VIEW: 'analytics:view',
+  ZONE_MANAGE: 'zone:manage',
+  NOTE_WRITE: 'note:write',
+  NOTE_PIN: 'note:pin',
+  NOTE_VIEW_INTERNAL: 'note:view-internal',
+  ASSIGNMENT_RESPOND: 'assignment:respond',
+  RESPONDER_VIEW: 'responder:view',
+  RESPONDER_MANAGE: 'responder:manage',
+  LOCATION_REPORT: 'location:report',
+  LOCATION_VIEW: 'location:view'
+};
+
+/**
+ * Role -> allowed actions
+ * - admin: everything
+ * - dispatcher: runs the dispatch desk (verify, assign, re-status)
+ * - responder: field crews updating the incidents they work on (see ASSIGNED_ONLY)
+ */
+const ROLE_PERMISSIONS = {
+  admin: Object.values(ACTIONS),
+  dispatcher: [
+    ACTIONS.INCIDENT_VERIFY,
+    ACTIONS.INCIDENT_MERGE,
+    ACTIONS.INCIDENT_VIEW_ARCHIVED,
+    ACTIONS.INCIDENT_TIMELINE,
+    ACTIONS.INCIDENT_MEDIA_DELETE,
+    ACTIONS.INCIDENT_FLAG,
+    ACTIONS.INCIDENT_TAG,
+    ACTIONS.INCIDENT_AREA,
+    ACTIONS.INCIDENT_BULK,
+    ACTIONS.SLA_VIEW,
+    ACTIONS.ANALYTICS_VIEW,
+    ACTIONS.NOTE_WRITE,
+    ACTIONS.NOTE_PIN,
+    ACTIONS.NOTE_VIEW_INTERNAL,
+    ACTIONS.INCIDENT_STATUS,
+    ACTIONS.INCIDENT_ASSIGN,
+    ACTIONS.ASSIGNMENT_RESPOND,
+    ACTIONS.RESPONDER_VIEW,
+    ACTIONS.LOCATION_REPORT,
+    ACTIONS.LOCATION_VIEW
+  ],
+  responder: [
+    ACTIONS.INCIDENT_STATUS,
+    ACTIONS.INCIDENT_TIMELINE,
+    ACTIONS.INCIDENT_FLAG,
+    ACTIONS.INCIDENT_TAG,
+    ACTIONS.INCIDENT_AREA,
+    ACTIONS.NOTE_WRITE,
+    ACTIONS.NOTE_VIEW_INTERNAL,
+    ACTIONS.ASSIGNMENT_RESPOND,
+    ACTIONS.RESPONDER_VIEW,
+    ACTIONS.LOCATION_REPORT
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Role -> actions it may only take on incidents assigned to that responder
+ */
+const ASSIGNED_ONLY = {
+  responder: [
+    ACTIONS.INCIDENT_STATUS,
+    ACTIONS.INCIDENT_FLAG,
+    ACTIONS.INCIDENT_TAG,
+    ACTIONS.INCIDENT_AREA
+  ]
+};
+
+/**
+ * Check whether a role may perform an action
+ * @param {string} role - Responder role
+ * @param {string} action - One of ACTIONS
+ * @returns {boolean}
+ */
+function can(role, action) {
+  return (ROLE_PERMISSIONS[role] || []).includes(action);
+}
+
+/**
+ * Check whether a responder may perform an action on a specific incident
+ * @param {Object} responder - { _id | id, role }
+ * @param {string} action - One of ACTIONS
+ * @param {Object} incident - Incident (only assignedTo is read)
+ * @returns {boolean}
+ */
+function canOnIncident(responder, action, incident) {
+  if (!can(responder.role, action)) return false;
+  if (!(ASSIGNED_ONLY[responder.role] || []).includes(action)) return true;
+  return Boolean(incident.assignedTo) && String(incident.assignedTo) === String(responder._id || responder.id);
+}
+
+/**
+ * Send the standard 403 body for an action on an incident the responder is not assigned to
+ */
+function sendNotAssigned(res, role, action) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: `Role '${role}' may only perform '${action}' on incidents assigned to them`,
+    action,
+    role
+  });
+}
+
+/**
+ * Send the standard 403 body for a denied action
+ */
+function sendForbidden(res, role, action) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: `Role '${role}' is not allowed to perform '${action}'`,
+    action,
+    role
+  });
+}
+
+/**
+ * Middleware that requires the authenticated responder to hold a permission.
+ * Must run after authenticate.
+ * @param {string} action - One of ACTIONS
+ */
+function requirePermission(action) {
+  return (req, res, next) => {
+    if (!req.responder) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!can(req.responder.role, action)) {
+      return sendForbidden(res, req.responder.role, action);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware that applies ASSIGNED_ONLY to the incident in req.params.id.
+ * Must run after requirePermission.
+ * @param {string} action - One of ACTIONS
+ */
+function requireAssignedIncident(action) {
+  return async (req, res, next) => {
+    const { role } = req.responder;
+    if (!(ASSIGNED_ONLY[role] || []).includes(action)) return next();
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: 'Incident not found' });
+      }
+
+      const incident = await Incident.findById(req.params.id).select('assignedTo').lean();
+      if (!incident) {
+        return res.status(404).json({ error: 'Incident not found' });
+      }
+
+      if (!canOnIncident(req.responder, action, incident)) {
+        return sendNotAssigned(res, role, action);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error checking incident assignment:', error);
+      return res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+/**
+ * Authenticate and check a permission in one step
+ * @param {string} action - One of ACTIONS
+ * @returns {Array} - Middleware chain
+ */
+function authorize(action) {
+  return [authenticate, requirePermission(action)];
+}
+
+/**
+ * authorize() for a /:id incident route, also enforcing ASSIGNED_ONLY
+ * @param {string} action - One of ACTIONS
+ * @returns {Array} - Middleware chain
+ */
+function authorizeOnIncident(action) {
+  return [...authorize(action), requireAssignedIncident(action)];
+}
+
+module.exports = {
+  ACTIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  ASSIGNED_ONLY,
+  can,
+  canOnIncident,
+  sendForbidden,
+  sendNotAssigned,
+  requirePermission,
+  requireAssignedIncident,
+  authorize,
+  authorizeOnIncident
+};
@@ -1,5 +1,149 @@
 const mongoose = require('mongoose');
 
+// Threaded responder/reporter note with edit history
+const noteSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Responder',
+    default: null
+  },
+  authorName: {
+    type: String,
+    default: ''
+  },
+  authorKind: {
+    type: String,
+    enum: ['responder', 'reporter'],
+    default: 'responder'
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // internal: staff only, public: also visible to the reporter
+  visibility: {
+    type: String,
+    enum: ['internal', 'public'],
+    default: 'internal'
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  edits: [{
+    body: String,
+    visibility: String,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Responder'
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Photo/video attached to an incident at report time or as a follow-up
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    default: ''
+  },
+  mimeType: {
+    type: String,
+    default: ''
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  uploadedBy: {
+    kind: {
+      type: String,
+      enum: ['responder', 'reporter', 'public'],
+      default: 'public'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Responder',
+      default: null
+    },
+    name: {
+      type: String,
+      default: 'Anonymous'
+    }
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Snapshot of a report folded into this incident (auto-merge or manual merge)
+const linkedReportSchema = new mongoose.Schema({
+  // Source incident for manual merges; null for reports auto-merged on submit
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  mediaUrl: {
+    type: String,
+    default: null
+  },
+  // Source incident's attachments at merge time (manual merges only)
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  reportedBy: {
+    type: String,
+    default: 'Anonymous'
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  location: {
+    lat: Number,
+    lng: Number,
+    address: String
+  },
+  severity: {
+    type: String,
+    default: null
+  },
+  upvotes: {
+    type: Number,
+    default: 1
+  },
+  upvoteScore: {
+    type: Number
+  },
+  mergedAt: {
+    type: Date,
+    default: Date.now
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Responder',
+    default: null
+  }
+});
+
+
 const incidentSchema = new mongoose.Schema({
   type: {
     type: String,
@@ -51,40 +195,242 @@ const incidentSchema = new mongoose.Schema({
     type: String,
     default: 'Anonymous'
   },
+  // Primary media (first attachment) kept for older clients
   mediaUrl: {
     type: String,
     default: null
   },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
   upvotes: {
     type: Number,
     default: 1
   },
+  // Proximity-weighted upvotes used for priority (unset on incidents that predate weighting)
+  upvoteScore: {
+    type: Number
+  },
   verified: {
     type: Boolean,
     default: false
   },
+  // Legacy single-string notes; new notes go to `notes`
   responderNotes: {
     type: String,
     default: ''
   },
+  notes: {
+    type: [noteSchema],
+    default: []
+  },
+  // Required when resolving, or when closing without resolving
+  resolutionNote: {
+    type: String,
+    default: ''
+  },
+  // First time the incident reached each milestone status (see utils/incidentStatus.js)
+  milestones: {
+    verifiedAt: { type: Date, default: null },
+    dispatchedAt: { type: Date, default: null },
+    inProgressAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null }
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Responder',
     default: null
   },
+  // State of the current assignment; cleared when the responder is released
+  assignment: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', null],
+      default: null
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Responder',
+      default: null
+    },
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    },
+    // Pending offers return to the queue after this time
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Set when this incident was merged into another (primary) incident
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  linkedReports: {
+    type: [linkedReportSchema],
+    default: []
+  },
+  // Soft delete: archived incidents are hidden by default and purged after retention
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Responder',
+    default: null
+  },
+  archiveReason: {
+    type: String,
+    default: ''
+  },
+  // SHA-256 hashes of reporter tracking tokens (see utils/tracking.js)
+  trackingTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Hashed reporter identities (device, IP, tracking token lineage) for reputation
+  reporterIdentities: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Reporter trust (0-100) at report time; null for incidents that predate reputation
+  reporterTrust: {
+    type: Number,
+    default: null
+  },
+  // Staff-defined labels (see utils/tags.js)
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Optional extent for area-shaped events (flood zone, fire perimeter, closed
+  // road); `location` stays the reported point. See utils/affectedArea.js
+  affectedArea: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString']
+    },
+    coordinates: {
+      type: Array,
+      default: undefined
+    }
+  },
+  affectedAreaUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Jurisdiction zones containing the incident or intersecting its affected area (see utils/zones.js)
+  zones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone'
+  }],
+  // Last sign the incident is still live (report, upvote, status change); see utils/staleness.js
+  lastActivityAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the stale job asks watchers to reconfirm; cleared by new activity
+  awaitingConfirmationSince: {
+    type: Date,
+    default: null
+  },
+  // SLA escalation (see utils/sla.js); active until the target status is reached
+  escalation: {
+    level: {
+      type: Number,
+      default: 0
+    },
+    active: {
+      type: Boolean,
+      default: false
+    },
+    targetStatus: {
+      type: String,
+      default: null
+    },
+    deadline: {
+      type: Date,
+      default: null
+    },
+    escalatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Responder verdict that the report was not genuine
+  flag: {
+    outcome: {
+      type: String,
+      enum: ['false', 'prank', 'unfounded', null],
+      default: null
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    flaggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Responder',
+      default: null
+    },
+    flaggedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.trackingTokenHashes;
+      delete ret.reporterIdentities;
+      return ret;
+    }
+  }
 });
 
 // Create 2dsphere index for geospatial queries
 incidentSchema.index({ location: '2dsphere' });
+incidentSchema.index({ affectedArea: '2dsphere' });
 incidentSchema.index({ timestamp: -1 });
 incidentSchema.index({ type: 1, timestamp: -1 });
 incidentSchema.index({ severity: 1, timestamp: -1 });
+incidentSchema.index({ 'assignment.status': 1, 'assignment.expiresAt': 1 });
+incidentSchema.index({ archived: 1, archivedAt: 1 });
+incidentSchema.index({ mergedInto: 1 });
+incidentSchema.index({ trackingTokenHashes: 1 });
+incidentSchema.index({ 'escalation.active': 1 });
+incidentSchema.index({ tags: 1 });
+incidentSchema.index({ zones: 1, timestamp: -1 });
+incidentSchema.index({ status: 1, awaitingConfirmationSince: 1 });
+
+/**
+ * Filter matching incidents that should appear in lists, stats and queues
+ * (not archived, not merged into another incident)
+ */
+incidentSchema.statics.visibleFilter = function() {
+  return { archived: { $ne: true }, mergedInto: null };
+};
 
 const Incident = mongoose.model('Incident', incidentSchema);
 
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail: one document per change to an incident
+const incidentEventSchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true,
+    immutable: true
+  },
+  action: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  actor: {
+    kind: {
+      type: String,
+      enum: ['responder', 'reporter', 'public', 'system'],
+      required: true,
+      immutable: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Responder',
+      default: null,
+      immutable: true
+    },
+    name: {
+      type: String,
+      default: '',
+      immutable: true
+    },
+    role: {
+      type: String,
+      default: null,
+      immutable: true
+    }
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    immutable: true
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    immutable: true
+  },
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    immutable: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+incidentEventSchema.index({ incident: 1, timestamp: 1 });
+
+// Reject any attempt to rewrite or remove history
+const blockedOperations = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+blockedOperations.forEach((operation) => {
+  incidentEventSchema.pre(operation, function(next) {
+    next(new Error('Incident events are append-only'));
+  });
+});
+
+incidentEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Incident events are append-only'));
+  next();
+});
+
+const IncidentEvent = mongoose.model('IncidentEvent', incidentEventSchema);
+
+module.exports = IncidentEvent;
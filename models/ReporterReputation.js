@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Track record of an anonymous reporter identity (hashed device id, IP or tracking token lineage)
+const reporterReputationSchema = new mongoose.Schema({
+  identity: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reports: {
+    type: Number,
+    default: 0
+  },
+  lastReportAt: {
+    type: Date,
+    default: null
+  },
+  // One entry per incident responders flagged as false, prank or unfounded
+  flags: [{
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Incident',
+      required: true
+    },
+    outcome: {
+      type: String,
+      enum: ['false', 'prank', 'unfounded'],
+      required: true
+    },
+    flaggedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+const ReporterReputation = mongoose.model('ReporterReputation', reporterReputationSchema);
+
+module.exports = ReporterReputation;
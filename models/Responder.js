@@ -16,11 +16,12 @@ const responderSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true
+    required: true,
+    select: false
   },
   role: {
     type: String,
-    enum: ['admin', 'responder'],
+    enum: ['admin', 'dispatcher', 'responder'],
     default: 'responder'
   },
   assignedIncidents: [{
@@ -38,6 +39,15 @@ const responderSchema = new mongoose.Schema({
       default: [0, 0]
     }
   },
+  // Set by live tracking; locationStale flips once the device goes silent
+  lastLocationAt: {
+    type: Date,
+    default: null
+  },
+  locationStale: {
+    type: Boolean,
+    default: true
+  },
   status: {
     type: String,
     enum: ['available', 'busy', 'offline'],
@@ -50,9 +60,51 @@ const responderSchema = new mongoose.Schema({
   },
   phone: {
     type: String
+  },
+  // Jurisdiction zones whose alerts this responder receives
+  zones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone'
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped on logout to revoke outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // One entry per live refresh token; /refresh swaps the presented one for a new one
+  refreshTokens: {
+    type: [{
+      _id: false,
+      jti: String,
+      expiresAt: Date
+    }],
+    default: [],
+    select: false
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Never leak credentials, even when they were explicitly selected
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.tokenVersion;
+      delete ret.refreshTokens;
+      return ret;
+    }
+  }
 });
 
 // Hash password before saving
@@ -75,6 +127,7 @@ responderSchema.methods.comparePassword = async function(candidatePassword) {
 
 // Create 2dsphere index for geospatial queries
 responderSchema.index({ location: '2dsphere' });
+responderSchema.index({ department: 1, status: 1 });
 
 const Responder = mongoose.model('Responder', responderSchema);
 
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Citizen watch area for filtered incident alerts (see utils/subscriptions.js).
+// No account: the subscriber holds a random token; only its hash is stored.
+const subscriptionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Point + radius watch (null for polygon watches)
+  center: {
+    type: new mongoose.Schema({ lat: Number, lng: Number }, { _id: false }),
+    default: null
+  },
+  radiusKm: {
+    type: Number,
+    default: null
+  },
+  // Polygon watch (null for point + radius watches)
+  polygon: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon']
+    },
+    coordinates: Array
+  },
+  minSeverity: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical'],
+    default: 'Low'
+  },
+  // Empty = every type
+  types: {
+    type: [String],
+    default: []
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  lastConnectedAt: {
+    type: Date,
+    default: null
+  },
+  // Pushed forward whenever the subscription is used; expired ones are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+subscriptionSchema.index({ tokenHash: 1 }, { unique: true });
+subscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
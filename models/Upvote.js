@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One community confirmation per identity per incident
+const upvoteSchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+  // "<kind>:<value>" - responder id, or a hash of the device id / tracking token
+  identity: {
+    type: String,
+    required: true
+  },
+  identityKind: {
+    type: String,
+    enum: ['responder', 'token', 'device'],
+    required: true
+  },
+  // Hash of the client IP, for capping device-id upvotes per network
+  ipHash: {
+    type: String,
+    default: null
+  },
+  // Proximity weight added to the incident's upvoteScore
+  weight: {
+    type: Number,
+    required: true
+  },
+  distanceMeters: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+upvoteSchema.index({ incident: 1, identity: 1 }, { unique: true });
+upvoteSchema.index({ incident: 1, ipHash: 1 });
+
+const Upvote = mongoose.model('Upvote', upvoteSchema);
+
+module.exports = Upvote;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Jurisdiction zone: a geofence owned by one agency. Incidents reported inside
+// it are tagged with the zone and alerted to its room (see utils/zones.js).
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short stable identifier, e.g. "north-precinct"
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Owning agency, so neighbouring agencies can share one backend
+  agency: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // GeoJSON Polygon or MultiPolygon ([lng, lat] positions)
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Responder',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+zoneSchema.index({ boundary: '2dsphere' });
+zoneSchema.index({ agency: 1, active: 1 });
+
+const Zone = mongoose.model('Zone', zoneSchema);
+
+module.exports = Zone;
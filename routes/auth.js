@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const Responder = require('../models/Responder');
+const { authenticate } = require('../middleware/auth');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+
+// Live refresh tokens kept per responder (one per signed-in device); oldest drop off
+const MAX_REFRESH_TOKENS = 10;
+
+/**
+ * Issue a token pair and remember the refresh token's id
+ * @param {Object} responder - Responder document (with tokenVersion selected)
+ * @returns {Object} - { accessToken, refreshToken, expiresIn }
+ */
+async function issueSession(responder) {
+  const tokens = issueTokens(responder);
+  const { jti, exp } = verifyRefreshToken(tokens.refreshToken);
+
+  await Responder.updateOne(
+    { _id: responder._id },
+    { $push: { refreshTokens: { $each: [{ jti, expiresAt: new Date(exp * 1000) }], $slice: -MAX_REFRESH_TOKENS } } }
+  );
+
+  return tokens;
+}
+
+/**
+ * POST /login - Exchange email/password for an access and refresh token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const responder = await Responder.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+password +tokenVersion');
+
+    if (!responder || !(await responder.comparePassword(password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (!responder.active) {
+      return res.status(403).json({ error: 'Account deactivated' });
+    }
+
+    responder.lastLoginAt = new Date();
+    await responder.save();
+
+    return res.status(200).json({
+      success: true,
+      ...(await issueSession(responder)),
+      responder
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /refresh - Rotate a refresh token into a new token pair
+ * The presented token is retired. Presenting a retired token again means it
+ * was copied, so every session of that responder is revoked.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const responder = await Responder.findById(payload.sub).select('+tokenVersion');
+
+    // A version mismatch means the token was revoked by a logout
+    if (!responder || !responder.active || (responder.tokenVersion || 0) !== payload.ver) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    // Retire the presented token; only one caller can win this
+    const retired = await Responder.updateOne(
+      { _id: responder._id, 'refreshTokens.jti': payload.jti },
+      { $pull: { refreshTokens: { jti: payload.jti } } }
+    );
+
+    if (!payload.jti || retired.modifiedCount === 0) {
+      await Responder.updateOne(
+        { _id: responder._id },
+        { $inc: { tokenVersion: 1 }, $set: { refreshTokens: [] } }
+      );
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...(await issueSession(responder)),
+      responder
+    });
+
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    return res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * POST /logout - Revoke all refresh tokens for the current responder
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await Responder.updateOne(
+      { _id: req.responder._id },
+      { $inc: { tokenVersion: 1 }, $set: { refreshTokens: [] } }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    return res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /me - Get the authenticated responder
+ */
+router.get('/me', authenticate, (req, res) => {
+  return res.status(200).json({ responder: req.responder });
+});
+
+module.exports = router;
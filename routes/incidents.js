@@ -1,57 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
+const mongoose = require('mongoose');
 const Incident = require('../models/Incident');
+const { ACTIONS, authorize, authorizeOnIncident, can, sendForbidden } = require('../middleware/permissions');
+const { optionalAuth } = require('../middleware/auth');
 const { analyzeIncident, detectDuplicates } = require('../utils/ai');
-const { sortIncidentsByPriority, calculatePriority, getPriorityLevel } = require('../utils/priorityScorer');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp|mp4|webm/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    }
-    cb(new Error('Only image and video files are allowed'));
-  }
-});
-
-/**
- * Calculate distance between two points using Haversine formula
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3;
-  const φ1 = (lat1 * Math.PI) / 180;
-  const φ2 = (lat2 * Math.PI) / 180;
-  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-  const a =
-    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-  return R * c;
-}
+const { sortIncidentsByPriority, calculatePriority, getPriorityLevel, reportPriorityScore } = require('../utils/priorityScorer');
+const { TYPE_DEPARTMENTS, findRecommendedResponders } = require('../utils/dispatch');
+const { assignResponder, acceptAssignment, declineAssignment, unassignIncident } = require('../utils/assignments');
+const { HttpError } = require('../utils/errors');
+const { STATUSES, allowedTransitions, checkTransition, transitionIncident } = require('../utils/incidentStatus');
+const { actorFromRequest, recordEvent, getTimeline } = require('../utils/timeline');
+const { addNote, withVisibleNotes } = require('../utils/notes');
+const { mergeIncidents, unmergeIncidents } = require('../utils/merge');
+const { upload, MAX_FILES_PER_UPLOAD, toAttachment } = require('../utils/upload');
+const { removeUploadedFile } = require('../utils/media');
+const { addAttachments, removeAttachment } = require('../utils/attachments');
+const { REPORTER_ACTOR, generateTrackingToken, findIncidentByToken } = require('../utils/tracking');
+const { resolveVoter, addUpvote, removeUpvote } = require('../utils/upvotes');
+const { reporterIdentities, trustFor, recordReport } = require('../utils/reputation');
+const { flagIncident, unflagIncident } = require('../utils/flags');
+const { SLA_RULES, findSlaBreaches } = require('../utils/sla');
+const { recordActivity } = require('../utils/staleness');
+const { LIST_SORT, buildIncidentFilter, buildAreaFilter, encodeCursor, cursorFilter } = require('../utils/incidentFilters');
+const { archiveIncident, restoreIncident } = require('../utils/archive');
+const { parseTagChange, updateIncidentTags } = require('../utils/tags');
+const { BULK_ACTIONS, resolveTargets, runBulkAction } = require('../utils/bulk');
+const { zoneIdsFor, alertRooms } = require('../utils/zones');
+const {
+  parseBbox,
+  parseAreaGeometry,
+  circlePolygon,
+  intersecting,
+  distanceToIncident,
+  isInvalidGeometryError
+} = require('../utils/geo');
+const { updateAffectedArea } = require('../utils/affectedArea');
+const { incidentAnalytics } = require('../utils/analytics');
+const { getStats, invalidateStats } = require('../utils/stats');
+const { CLUSTER_MODES, parseZoom, aggregateIncidents } = require('../utils/clusters');
+const { emitIncidentEvent, emitIncidentsEvent } = require('../utils/subscriptions');
+const notesRouter = require('./notes');
 
 /**
  * POST /report - Create new incident (multipart form data)
+ * affectedArea (optional): GeoJSON Polygon or LineString for area-shaped events
+ * Responds with a trackingToken the reporter can use with /api/track/:token
  */
 router.post('/report', upload.single('media'), async (req, res) => {
   try {
@@ -78,9 +72,17 @@ router.post('/report', upload.single('media'), async (req, res) => {
       });
     }
 
+    // Optional extent of an area-shaped event (GeoJSON; a JSON string in multipart)
+    const affectedArea = req.body.affectedArea ? parseAreaGeometry(req.body.affectedArea) : null;
+
+    // Reporter reputation from earlier flagged reports
+    const identities = await reporterIdentities(req);
+    const reporterTrust = await trustFor(identities);
+
     // Get existing incidents for duplicate detection
     const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
     const existingIncidents = await Incident.find({
+      ...Incident.visibleFilter(),
       timestamp: { $gte: twoHoursAgo }
     }).lean();
 
@@ -90,21 +92,24 @@ router.post('/report', upload.single('media'), async (req, res) => {
       existingIncidents
     );
 
-    // Check for nearby similar incidents (100m, 30min) for auto-merge
+    // Check for nearby similar incidents (100m, 30min) for auto-merge.
+    // Open area incidents match for as long as they last.
     const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000);
     const recentIncidents = await Incident.find({
+      ...Incident.visibleFilter(),
       type: type,
-      timestamp: { $gte: thirtyMinutesAgo }
+      $or: [
+        { timestamp: { $gte: thirtyMinutesAgo } },
+        {
+          status: { $nin: ['Resolved', 'Closed'] },
+          ...intersecting(circlePolygon(location, 0.1))
+        }
+      ]
     });
 
     let matchedIncident = null;
     for (const incident of recentIncidents) {
-      const distance = calculateDistance(
-        location.lat,
-        location.lng,
-        incident.location.lat,
-        incident.location.lng
-      );
+      const distance = distanceToIncident(location, incident);
 
       if (distance <= 100) {
         matchedIncident = incident;
@@ -112,23 +117,67 @@ router.post('/report', upload.single('media'), async (req, res) => {
       }
     }
 
+    // Secret the reporter can use to follow up on their report without an account
+    const tracking = generateTrackingToken();
+
     // If exact match found, increment upvotes
     if (matchedIncident) {
+      // Keep the second report's details as a linked report instead of discarding them
       matchedIncident.upvotes += 1;
+      // A second on-scene report is a full-weight confirmation
+      matchedIncident.upvoteScore = (matchedIncident.upvoteScore != null
+        ? matchedIncident.upvoteScore
+        : matchedIncident.upvotes - 1) + 1;
+      matchedIncident.linkedReports.push({
+        incident: null,
+        description,
+        mediaUrl: req.file ? `/uploads/${req.file.filename}` : null,
+        reportedBy: reportedBy || 'Anonymous',
+        reportedAt: new Date(),
+        location: {
+          lat: location.lat,
+          lng: location.lng,
+          address: location.address || ''
+        },
+        upvotes: 1,
+        upvoteScore: 1
+      });
       await matchedIncident.save();
+      await Incident.updateOne(
+        { _id: matchedIncident._id },
+        { $push: { trackingTokenHashes: tracking.hash } }
+      );
+      await recordReport(identities);
+
+      await recordEvent({
+        incidentId: matchedIncident._id,
+        action: 'report_merged',
+        actor: { kind: 'reporter', name: reportedBy || 'Anonymous' },
+        before: { upvotes: matchedIncident.upvotes - 1 },
+        after: { upvotes: matchedIncident.upvotes },
+        meta: { description },
+        io: req.io
+      });
 
-      if (req.io) {
-        req.io.emit('upvote_update', {
-          incidentId: matchedIncident._id,
-          upvotes: matchedIncident.upvotes,
-          type: matchedIncident.type,
-          location: matchedIncident.location
-        });
-      }
+      // A fresh report keeps a stale incident open
+      await recordActivity(matchedIncident._id, {
+        actor: { kind: 'reporter', name: reportedBy || 'Anonymous' },
+        io: req.io,
+        reason: 'report'
+      });
+
+      await emitIncidentEvent(req.io, 'upvote_update', matchedIncident, {
+        incidentId: matchedIncident._id,
+        upvotes: matchedIncident.upvotes,
+        upvoteScore: matchedIncident.upvoteScore,
+        type: matchedIncident.type,
+        location: matchedIncident.location
+      });
 
       return res.status(200).json({
         status: 'merged',
-        incident: matchedIncident,
+        incident: withVisibleNotes(matchedIncident.toObject(), false),
+        trackingToken: tracking.token,
         message: 'Your report was merged with an existing incident nearby'
       });
     }
@@ -146,48 +195,18 @@ router.post('/report', upload.single('media'), async (req, res) => {
       });
     }
 
-    // Calculate priority score based on AI analysis and image
-    let priorityScore = 50; // Base score
-    console.log('Priority Calculation - Starting with base:', priorityScore);
-    console.log('Priority Calculation - AI Severity:', aiAnalysis.severity);
-    
-    // Severity contribution (up to 40 points)
-    const severityScores = { Critical: 40, High: 30, Medium: 20, Low: 10 };
-    const severityBonus = severityScores[aiAnalysis.severity] || 20;
-    priorityScore += severityBonus;
-    console.log('Priority Calculation - Severity bonus:', severityBonus, '-> Total:', priorityScore);
-    
-    // Image analysis contribution
-    if (aiAnalysis.imageAnalysis) {
-      console.log('Priority Calculation - Image analysis found:', aiAnalysis.imageAnalysis);
-      if (aiAnalysis.imageAnalysis.isEmergency) {
-        // Real emergency image - boost score based on confidence
-        const imageBonus = Math.round(aiAnalysis.imageAnalysis.confidence * 0.2);
-        priorityScore += imageBonus;
-        console.log('Priority Calculation - Emergency image bonus:', imageBonus, '-> Total:', priorityScore);
-      } else {
-        // Not a real emergency image - reduce score significantly
-        priorityScore -= 30;
-        console.log('Priority Calculation - Non-emergency image penalty: -30 -> Total:', priorityScore);
-        // Also downgrade severity if image doesn't show emergency
-        if (aiAnalysis.severity === 'Critical') {
-          aiAnalysis.severity = 'Medium';
-        } else if (aiAnalysis.severity === 'High') {
-          aiAnalysis.severity = 'Medium';
-        }
-      }
-    } else {
-      console.log('Priority Calculation - No image analysis present');
-    }
-    
-    // Clamp score between 10-100
-    priorityScore = Math.max(10, Math.min(100, priorityScore));
-    console.log('Priority Calculation - FINAL SCORE:', priorityScore);
+    // Severity and image contribution (a non-emergency image also downgrades severity)
+    // Reporter trust is not applied here: calculatePriority applies it from reporterTrust
+    const priorityScore = reportPriorityScore(aiAnalysis);
+    console.log('Priority Calculation - AI Severity:', aiAnalysis.severity, '-> FINAL SCORE:', priorityScore);
     
     // Add priority score to AI analysis
     aiAnalysis.priorityScore = priorityScore;
     console.log('Priority Calculation - Added to ai_analysis:', JSON.stringify(aiAnalysis, null, 2));
 
+    // Jurisdiction zones decide which rooms get the alert
+    const zones = await zoneIdsFor(location, affectedArea);
+
     // Create new incident
     const newIncident = new Incident({
       type,
@@ -199,27 +218,51 @@ router.post('/report', upload.single('media'), async (req, res) => {
         lng: location.lng,
         address: location.address || ''
       },
+      affectedArea: affectedArea || undefined,
+      affectedAreaUpdatedAt: affectedArea ? new Date() : null,
       severity: aiAnalysis.severity,
       ai_analysis: aiAnalysis,
       reportedBy: reportedBy || 'Anonymous',
       mediaUrl: req.file ? `/uploads/${req.file.filename}` : null,
+      attachments: req.file
+        ? [toAttachment(req.file, { kind: 'reporter', name: reportedBy || 'Anonymous' })]
+        : [],
       upvotes: 1,
+      upvoteScore: 1,
       status: 'Reported',
       verified: false,
+      trackingTokenHashes: [tracking.hash],
+      reporterIdentities: identities,
+      reporterTrust,
+      zones,
       timestamp: new Date()
     });
 
     await newIncident.save();
+    await recordReport(identities);
+
+    await recordEvent({
+      incidentId: newIncident._id,
+      action: 'created',
+      actor: { kind: 'reporter', name: newIncident.reportedBy },
+      after: {
+        type: newIncident.type,
+        severity: newIncident.severity,
+        status: newIncident.status,
+        priorityScore
+      },
+      io: req.io
+    });
 
-    // Emit socket event
+    // Emit socket event (area subscribers only get it when it is in their watch)
     if (req.io) {
-      req.io.emit('new_incident', {
+      await emitIncidentEvent(req.io, 'new_incident', newIncident, {
         incident: newIncident,
         priority: calculatePriority(newIncident.toObject())
       });
 
-      // Notify responders specifically
-      req.io.to('responders').emit('new_incident_alert', {
+      // Notify the zones' responders (or all responders outside every zone)
+      req.io.to(alertRooms(newIncident, req.io)).emit('new_incident_alert', {
         incident: newIncident,
         priority: calculatePriority(newIncident.toObject()),
         priorityLevel: getPriorityLevel(calculatePriority(newIncident.toObject()))
@@ -229,11 +272,18 @@ router.post('/report', upload.single('media'), async (req, res) => {
     return res.status(201).json({
       status: 'created',
       incident: newIncident,
+      trackingToken: tracking.token,
       aiAnalysis: aiAnalysis,
       duplicates: duplicates.length > 0 ? duplicates : null
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isInvalidGeometryError(error)) {
+      return res.status(400).json({ error: 'Invalid affectedArea', message: error.message });
+    }
     console.error('Error reporting incident:', error);
     return res.status(500).json({
       error: 'Failed to report incident',
@@ -244,66 +294,51 @@ router.post('/report', upload.single('media'), async (req, res) => {
 
 /**
  * GET / - Get all incidents with filters
+ * zone=<zoneId> limits the list to one jurisdiction zone
+ * Area (one of): lat + lng + radius (km), bbox=minLng,minLat,maxLng,maxLat, polygon=<GeoJSON>
+ * Newest first; pass the response's nextCursor as cursor= for the next page
+ * archived=include|only lists archived incidents too (incident:view-archived)
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const {
-      type,
-      status,
-      severity,
       lat,
       lng,
-      radius = 50, // km
-      startDate,
-      endDate,
       limit = 50,
       page = 1,
-      sortByPriority
+      cursor,
+      sortByPriority,
+      archived
     } = req.query;
 
     // Build query
-    const query = {};
-
-    if (type && type !== 'all') {
-      query.type = type;
-    }
+    let base = Incident.visibleFilter();
 
-    if (status && status !== 'all') {
-      query.status = status;
-    }
-
-    if (severity && severity !== 'all') {
-      query.severity = severity;
-    }
-
-    if (startDate) {
-      query.timestamp = { ...query.timestamp, $gte: new Date(startDate) };
+    if (archived === 'include' || archived === 'only') {
+      if (!req.responder || !can(req.responder.role, ACTIONS.INCIDENT_VIEW_ARCHIVED)) {
+        return sendForbidden(res, req.responder ? req.responder.role : 'public', ACTIONS.INCIDENT_VIEW_ARCHIVED);
+      }
+      base = archived === 'only' ? { archived: true, mergedInto: null } : { mergedInto: null };
     }
 
-    if (endDate) {
-      query.timestamp = { ...query.timestamp, $lte: new Date(endDate) };
-    }
+    // $geoWithin (not $nearSphere) so the timestamp order and the count still apply
+    const query = { ...buildIncidentFilter(req.query, base), ...buildAreaFilter(req.query) };
 
-    // Geospatial query if lat/lng provided
-    if (lat && lng) {
-      query['location'] = {
-        $nearSphere: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(lng), parseFloat(lat)]
-          },
-          $maxDistance: parseFloat(radius) * 1000 // Convert km to meters
-        }
-      };
-    }
+    // Keyset paging stays stable while new incidents arrive; page/skip is kept for older clients
+    const pageQuery = cursor ? { $and: [query, cursorFilter(cursor)] } : query;
 
     // Execute query
-    let incidents = await Incident.find(query)
-      .sort({ timestamp: -1 })
+    let incidents = await Incident.find(pageQuery)
+      .select('-notes')
+      .sort(LIST_SORT)
       .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
+      .skip(cursor ? 0 : (parseInt(page) - 1) * parseInt(limit))
       .lean();
 
+    const nextCursor = incidents.length === parseInt(limit)
+      ? encodeCursor(incidents[incidents.length - 1])
+      : null;
+
     // Sort by priority if requested
     if (sortByPriority === 'true') {
       const responderLocation = lat && lng ? { lat: parseFloat(lat), lng: parseFloat(lng) } : null;
@@ -317,10 +352,17 @@ router.get('/', async (req, res) => {
       total,
       page: parseInt(page),
       pages: Math.ceil(total / parseInt(limit)),
+      nextCursor,
       incidents
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isInvalidGeometryError(error)) {
+      return res.status(400).json({ error: 'Invalid polygon', message: error.message });
+    }
     console.error('Error fetching incidents:', error);
     return res.status(500).json({
       error: 'Failed to fetch incidents',
@@ -330,49 +372,87 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /stats - Get incident statistics
+ * GET /clusters - Aggregated incidents for the map viewport
+ * Query params: bbox (minLng,minLat,maxLng,maxLat), zoom, mode (clusters|heatmap),
+ * plus the list filters (type, status, severity, tag, zone, startDate, endDate)
  */
-router.get('/stats', async (req, res) => {
+router.get('/clusters', async (req, res) => {
   try {
-    const total = await Incident.countDocuments();
-    const critical = await Incident.countDocuments({ severity: 'Critical' });
-    const high = await Incident.countDocuments({ severity: 'High' });
-    const inProgress = await Incident.countDocuments({ status: 'In Progress' });
-    const resolved = await Incident.countDocuments({ status: 'Resolved' });
-    const pending = await Incident.countDocuments({ status: { $in: ['Pending', 'Reported'] } });
+    const { bbox, zoom, mode = 'clusters' } = req.query;
 
-    // Get counts by type
-    const byType = await Incident.aggregate([
-      { $group: { _id: '$type', count: { $sum: 1 } } }
-    ]);
+    if (!CLUSTER_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Must be one of: ${CLUSTER_MODES.join(', ')}`
+      });
+    }
 
-    // Get recent 24h stats
-    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const last24h = await Incident.countDocuments({ timestamp: { $gte: dayAgo } });
+    if (!bbox) {
+      return res.status(400).json({ error: 'bbox is required (minLng,minLat,maxLng,maxLat)' });
+    }
+
+    const viewport = parseBbox(bbox);
+    const zoomLevel = parseZoom(zoom);
+    // Same area match as the list: area incidents crossing the viewport count too
+    const query = { ...buildIncidentFilter(req.query), ...buildAreaFilter({ bbox }) };
+
+    const result = await aggregateIncidents({ query, zoom: zoomLevel, mode });
 
     return res.status(200).json({
-      total,
-      critical,
-      high,
-      inProgress,
-      resolved,
-      pending,
-      last24h,
-      byType: byType.reduce((acc, item) => {
-        acc[item._id] = item.count;
-        return acc;
-      }, {})
+      mode,
+      zoom: zoomLevel,
+      bbox: [viewport.minLng, viewport.minLat, viewport.maxLng, viewport.maxLat],
+      ...result
     });
 
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error clustering incidents:', error);
+    return res.status(500).json({ error: 'Failed to cluster incidents' });
+  }
+});
+
+/**
+ * GET /stats - Get incident statistics
+ * Served from memory; incident changes refresh it (see utils/stats.js)
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await getStats();
+
+    return res.status(200).json(stats);
+
   } catch (error) {
     console.error('Error fetching stats:', error);
     return res.status(500).json({ error: 'Failed to fetch statistics' });
   }
 });
 
+/**
+ * GET /analytics - Report time series and response-time KPIs (admin, dispatcher)
+ * Query params: interval (hour | day | week, default day), startDate, endDate,
+ * type, severity, zone (plus the other list filters)
+ */
+router.get('/analytics', authorize(ACTIONS.ANALYTICS_VIEW), async (req, res) => {
+  try {
+    const analytics = await incidentAnalytics(req.query);
+
+    return res.status(200).json(analytics);
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error fetching analytics:', error);
+    return res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
 /**
  * GET /check-duplicates - Check for potential duplicate incidents
  * Query params: type, lat, lng, timestamp (optional), description (optional)
+ * Open incidents whose affected area passes within 500m count regardless of age.
  */
 router.get('/check-duplicates', async (req, res) => {
   try {
@@ -393,6 +473,7 @@ router.get('/check-duplicates', async (req, res) => {
     
     // Find nearby incidents using MongoDB geospatial query
     const nearbyIncidents = await Incident.find({
+      ...Incident.visibleFilter(),
       timestamp: { $gte: twoHoursAgo },
       status: { $nin: ['Resolved', 'Closed'] },
       'location.coordinates': {
@@ -406,6 +487,15 @@ router.get('/check-duplicates', async (req, res) => {
       }
     }).lean();
 
+    // $nearSphere cannot sit in an $or, so area incidents come from a second query
+    const areaIncidents = await Incident.find({
+      ...Incident.visibleFilter(),
+      _id: { $nin: nearbyIncidents.map(incident => incident._id) },
+      status: { $nin: ['Resolved', 'Closed'] },
+      ...intersecting(circlePolygon({ lat: latitude, lng: longitude }, 0.5))
+    }).lean();
+    nearbyIncidents.push(...areaIncidents);
+
     if (nearbyIncidents.length === 0) {
       return res.status(200).json({
         duplicates: [],
@@ -416,7 +506,7 @@ router.get('/check-duplicates', async (req, res) => {
     // Calculate similarity scores for each nearby incident
     const duplicates = nearbyIncidents.map(incident => {
       // Distance calculation
-      const distance = calculateDistance(latitude, longitude, incident.location.lat, incident.location.lng);
+      const distance = distanceToIncident({ lat: latitude, lng: longitude }, incident);
       
       // Distance score: 100 at 0m, 50 at 500m
       const distanceScore = Math.max(0, 100 - (distance / 5));
@@ -436,6 +526,7 @@ router.get('/check-duplicates', async (req, res) => {
         type: incident.type,
         description: incident.description,
         location: incident.location,
+        affectedArea: incident.affectedArea,
         timestamp: incident.timestamp,
         severity: incident.severity,
         status: incident.status,
@@ -492,8 +583,9 @@ router.get('/priority-queue', async (req, res) => {
 
     // Get active incidents only
     const incidents = await Incident.find({
+      ...Incident.visibleFilter(),
       status: { $nin: ['Resolved', 'Closed'] }
-    }).lean();
+    }).select('-notes').lean();
 
     const responderLocation = lat && lng ? { lat: parseFloat(lat), lng: parseFloat(lng) } : null;
     const sortedIncidents = sortIncidentsByPriority(incidents, responderLocation)
@@ -515,16 +607,128 @@ router.get('/priority-queue', async (req, res) => {
 });
 
 /**
- * GET /:id - Get single incident
+ * GET /sla-breaches - Open incidents past their SLA deadline, most overdue first
+ */
+router.get('/sla-breaches', authorize(ACTIONS.SLA_VIEW), async (req, res) => {
+  try {
+    const breaches = await findSlaBreaches();
+
+    return res.status(200).json({
+      count: breaches.length,
+      rules: SLA_RULES,
+      incidents: breaches.map(incident => {
+        const priority = calculatePriority(incident);
+        return { ...incident, priority, priorityLevel: getPriorityLevel(priority) };
+      })
+    });
+
+  } catch (error) {
+    console.error('Error fetching SLA breaches:', error);
+    return res.status(500).json({ error: 'Failed to fetch SLA breaches' });
+  }
+});
+
+/**
+ * POST /bulk - Apply one action to many incidents (admin, dispatcher)
+ * Body: { action, ids? | filter?, params }
+ *   action: status { status, note? } | verify | assign { responderId | auto: true, reassign? }
+ *           | archive { reason } | tag { add?, remove? }
+ *   filter: same fields as GET / (type, status, severity, tag, zone, startDate, endDate, lat/lng/radius, bbox, polygon)
+ * Each item is validated like the single-incident route; the response has one result per incident.
+ */
+router.post('/bulk', authorize(ACTIONS.INCIDENT_BULK), async (req, res) => {
+  try {
+    const { action, ids, filter, params } = req.body || {};
+    const definition = BULK_ACTIONS[action];
+
+    if (!definition) {
+      return res.status(400).json({
+        error: `Invalid action. Must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`
+      });
+    }
+
+    if (!can(req.responder.role, definition.permission)) {
+      return sendForbidden(res, req.responder.role, definition.permission);
+    }
+
+    const validatedParams = definition.validate(params || {});
+    const targets = await resolveTargets({ ids, filter });
+
+    const results = await runBulkAction({
+      action,
+      params: validatedParams,
+      targets,
+      actor: actorFromRequest(req)
+    });
+
+    const updated = results.filter(result => result.ok).map(result => result.incident);
+
+    // One event for the whole batch instead of one per incident
+    if (req.io && updated.length > 0) {
+      await emitIncidentsEvent(req.io, 'incidents_bulk_updated', updated, incidents => ({
+        action,
+        incidentIds: incidents.map(incident => incident._id),
+        incidents: incidents.map(incident => ({
+          incidentId: incident._id,
+          status: incident.status,
+          assignedTo: incident.assignedTo,
+          archived: incident.archived,
+          tags: incident.tags,
+          updatedAt: incident.updatedAt
+        }))
+      }));
+
+      // Offered responders still need their personal notification to accept or decline
+      if (action === 'assign') {
+        updated.forEach(incident => {
+          req.io.to(`responder:${incident.assignedTo}`).emit('assignment_offered', {
+            incidentId: incident._id,
+            responderId: incident.assignedTo,
+            assignment: incident.assignment,
+            incident
+          });
+        });
+      }
+    }
+
+    return res.status(200).json({
+      action,
+      total: results.length,
+      succeeded: updated.length,
+      failed: results.length - updated.length,
+      results
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (isInvalidGeometryError(error)) {
+      return res.status(400).json({ error: 'Invalid polygon', message: error.message });
+    }
+    console.error('Error running bulk operation:', error);
+    return res.status(500).json({ error: 'Failed to run bulk operation' });
+  }
+});
+
+/**
+ * GET /:id - Get single incident (internal notes only for authenticated staff)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
     const incident = await Incident.findById(req.params.id).lean();
     
-    if (!incident) {
+    const canSeeArchived = Boolean(req.responder) && can(req.responder.role, ACTIONS.INCIDENT_VIEW_ARCHIVED);
+    if (!incident || (incident.archived && !canSeeArchived)) {
       return res.status(404).json({ error: 'Incident not found' });
     }
 
+    withVisibleNotes(incident, Boolean(req.responder) && can(req.responder.role, ACTIONS.NOTE_VIEW_INTERNAL));
+
     // Add priority score
     incident.priority = calculatePriority(incident);
     incident.priorityLevel = getPriorityLevel(incident.priority);
@@ -538,24 +742,188 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * POST /:id/analyze - Re-analyze incident with AI
- * Returns fresh AI analysis for the incident
+ * GET /:id/recommended-responders - Nearest available responders for an incident
+ * Query params: limit (default 5), maxDistance (km, default 50), includeStale, anyDepartment
  */
-router.post('/:id/analyze', async (req, res) => {
+router.get('/:id/recommended-responders', authorize(ACTIONS.INCIDENT_ASSIGN), async (req, res) => {
   try {
-    const incident = await Incident.findById(req.params.id);
-    
+    const { limit = 5, maxDistance = 50, includeStale, anyDepartment } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const incident = await Incident.findById(req.params.id).lean();
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const responders = await findRecommendedResponders(incident, {
+      limit: Math.min(parseInt(limit) || 5, 50),
+      maxDistanceKm: parseFloat(maxDistance) || 50,
+      includeStale: includeStale === 'true',
+      anyDepartment: anyDepartment === 'true'
+    });
+
+    return res.status(200).json({
+      incidentId: incident._id,
+      departments: anyDepartment === 'true' ? null : TYPE_DEPARTMENTS[incident.type] || null,
+      count: responders.length,
+      responders
+    });
+
+  } catch (error) {
+    console.error('Error recommending responders:', error);
+    return res.status(500).json({
+      error: 'Failed to recommend responders',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /:id/timeline - Audit trail for an incident, oldest first
+ * Query params: limit (default 200, max 1000), after (ISO date), cursor (nextCursor of the previous page)
+ * Still available after the incident is deleted.
+ */
+router.get('/:id/timeline', authorize(ACTIONS.INCIDENT_TIMELINE), async (req, res) => {
+  try {
+    const { limit = 200, after, cursor } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const { events, nextCursor } = await getTimeline(req.params.id, {
+      limit: Math.min(parseInt(limit) || 200, 1000),
+      after,
+      cursor
+    });
+
+    return res.status(200).json({
+      incidentId: req.params.id,
+      count: events.length,
+      nextCursor,
+      events
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error fetching incident timeline:', error);
+    return res.status(500).json({ error: 'Failed to fetch incident timeline' });
+  }
+});
+
+// Threaded notes sub-resource
+router.use('/:id/notes', notesRouter);
+
+/**
+ * POST /:id/media - Add photos/videos to an incident (multipart, field "media")
+ * Staff, or the reporter with the incident's X-Tracking-Token header; new images
+ * refresh the AI assessment.
+ */
+router.post('/:id/media', optionalAuth, upload.array('media', MAX_FILES_PER_UPLOAD), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (!req.responder) {
+      const trackingToken = req.get('X-Tracking-Token');
+      let tracked = null;
+      try {
+        tracked = trackingToken ? await findIncidentByToken(trackingToken) : null;
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+      }
+
+      if (!tracked || String(tracked._id) !== String(req.params.id)) {
+        await Promise.all(files.map(file => removeUploadedFile(`/uploads/${file.filename}`)));
+        return res.status(401).json({ error: 'Sign in or send this incident\'s X-Tracking-Token to add media' });
+      }
+    }
+
+    const { incident, attachments, aiAnalysis } = await addAttachments({
+      incidentId: req.params.id,
+      files,
+      actor: req.responder ? actorFromRequest(req) : REPORTER_ACTOR,
+      io: req.io
+    });
+
+    return res.status(201).json({
+      success: true,
+      attachments,
+      severity: incident.severity,
+      aiAnalysis
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error adding media:', error);
+    return res.status(500).json({ error: 'Failed to add media' });
+  }
+});
+
+/**
+ * DELETE /:id/media/:attachmentId - Remove one attachment and its file
+ */
+router.delete('/:id/media/:attachmentId', authorize(ACTIONS.INCIDENT_MEDIA_DELETE), async (req, res) => {
+  try {
+    const incident = await removeAttachment({
+      incidentId: req.params.id,
+      attachmentId: req.params.attachmentId,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      attachments: incident.attachments,
+      mediaUrl: incident.mediaUrl
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error removing media:', error);
+    return res.status(500).json({ error: 'Failed to remove media' });
+  }
+});
+
+/**
+ * POST /:id/analyze - Re-analyze incident with AI (admin, dispatcher)
+ * Returns fresh AI analysis for the incident; archived incidents are left alone
+ */
+router.post('/:id/analyze', authorize(ACTIONS.INCIDENT_VERIFY), async (req, res) => {
+  try {
+    const incident = await Incident.findOne({ _id: req.params.id, ...Incident.visibleFilter() });
+
     if (!incident) {
       return res.status(404).json({ error: 'Incident not found' });
     }
 
     // Run AI analysis
     const aiAnalysis = await analyzeIncident(incident.description, incident.type);
+    const previousSeverity = incident.severity;
     
     // Update incident with new AI analysis
     incident.ai_analysis = aiAnalysis;
     incident.severity = aiAnalysis.severity;
     await incident.save();
+    invalidateStats(req.io);
+
+    await recordEvent({
+      incidentId: incident._id,
+      action: 'reanalyzed',
+      actor: actorFromRequest(req),
+      before: { severity: previousSeverity },
+      after: { severity: incident.severity, summary: aiAnalysis.summary },
+      io: req.io
+    });
 
     // Calculate priority
     const priority = calculatePriority(incident.toObject());
@@ -563,7 +931,7 @@ router.post('/:id/analyze', async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      incident: incident,
+      incident: withVisibleNotes(incident.toObject(), can(req.responder.role, ACTIONS.NOTE_VIEW_INTERNAL)),
       aiAnalysis: aiAnalysis,
       priority: priority,
       priorityLevel: priorityLevel
@@ -608,61 +976,84 @@ router.post('/analyze-text', async (req, res) => {
 });
 
 /**
- * PATCH /:id/upvote - Increment upvotes
+ * PATCH /:id/upvote - Confirm an incident (one upvote per identity)
+ * Identity: responder login, X-Tracking-Token or X-Device-Id header.
+ * Upvotes from nearby count more toward priority (server-recorded positions only)
  */
-router.patch('/:id/upvote', async (req, res) => {
+router.patch('/:id/upvote', optionalAuth, async (req, res) => {
   try {
-    const incident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { upvotes: 1 } },
-      { new: true }
-    );
+    const voter = await resolveVoter(req);
+    const { incident, weight } = await addUpvote({
+      incidentId: req.params.id,
+      voter,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
 
-    if (!incident) {
-      return res.status(404).json({ error: 'Incident not found' });
-    }
+    return res.status(200).json({
+      success: true,
+      upvotes: incident.upvotes,
+      upvoteScore: incident.upvoteScore,
+      weight
+    });
 
-    // Emit socket event
-    if (req.io) {
-      req.io.emit('upvote_update', {
-        incidentId: incident._id,
-        upvotes: incident.upvotes,
-        type: incident.type
-      });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error('Error upvoting incident:', error);
+    return res.status(500).json({ error: 'Failed to upvote incident' });
+  }
+});
+
+/**
+ * DELETE /:id/upvote - Withdraw the caller's upvote (same identity as the upvote)
+ */
+router.delete('/:id/upvote', optionalAuth, async (req, res) => {
+  try {
+    const voter = await resolveVoter(req);
+    const { incident } = await removeUpvote({
+      incidentId: req.params.id,
+      voter,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
 
     return res.status(200).json({
       success: true,
-      upvotes: incident.upvotes
+      upvotes: incident.upvotes,
+      upvoteScore: incident.upvoteScore
     });
 
   } catch (error) {
-    console.error('Error upvoting incident:', error);
-    return res.status(500).json({ error: 'Failed to upvote incident' });
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error removing upvote:', error);
+    return res.status(500).json({ error: 'Failed to remove upvote' });
   }
 });
 
 /**
- * PATCH /:id/verify - Mark as verified (admin only)
+ * PATCH /:id/verify - Mark as verified (admin, dispatcher)
  */
-router.patch('/:id/verify', async (req, res) => {
+router.patch('/:id/verify', authorize(ACTIONS.INCIDENT_VERIFY), async (req, res) => {
   try {
-    const incident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      { 
-        verified: true, 
-        status: 'Verified' 
-      },
-      { new: true }
-    );
+    const current = await Incident.findById(req.params.id);
 
-    if (!incident) {
+    if (!current) {
       return res.status(404).json({ error: 'Incident not found' });
     }
 
+    const incident = await transitionIncident(current, 'Verified', {
+      actor: actorFromRequest(req),
+      io: req.io,
+      verify: true
+    });
+
     // Emit socket event
     if (req.io) {
-      req.io.emit('incident_verified', {
+      await emitIncidentEvent(req.io, 'incident_verified', incident, {
         incidentId: incident._id,
         verified: true
       });
@@ -674,43 +1065,87 @@ router.patch('/:id/verify', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error verifying incident:', error);
     return res.status(500).json({ error: 'Failed to verify incident' });
   }
 });
 
 /**
- * PATCH /:id/status - Update status and add notes
+ * PATCH /:id/status - Update status and add notes (responders: assigned incidents only; assigning needs incident:assign)
+ * Body: { status?, resolutionNote?, responderNotes?, assignedTo? }
+ * Status changes follow the transition table in utils/incidentStatus.js (409 when disallowed)
  */
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', authorizeOnIncident(ACTIONS.INCIDENT_STATUS), async (req, res) => {
   try {
-    const { status, responderNotes, assignedTo } = req.body;
+    const { status, responderNotes, assignedTo, resolutionNote } = req.body;
 
-    const validStatuses = ['Reported', 'Verified', 'In Progress', 'Dispatched', 'Resolved', 'Closed'];
-    if (status && !validStatuses.includes(status)) {
+    if (assignedTo && !can(req.responder.role, ACTIONS.INCIDENT_ASSIGN)) {
+      return sendForbidden(res, req.responder.role, ACTIONS.INCIDENT_ASSIGN);
+    }
+
+    if (status && !STATUSES.includes(status)) {
       return res.status(400).json({
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: `Invalid status. Must be one of: ${STATUSES.join(', ')}`
       });
     }
 
-    const updateData = {};
-    if (status) updateData.status = status;
-    if (responderNotes) updateData.responderNotes = responderNotes;
-    if (assignedTo) updateData.assignedTo = assignedTo;
-
-    const incident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+    let incident = await Incident.findById(req.params.id);
 
     if (!incident) {
       return res.status(404).json({ error: 'Incident not found' });
     }
 
+    // Reject a disallowed status change before touching the assignment
+    if (status && status !== incident.status) {
+      const preview = assignedTo ? { ...incident.toObject(), assignedTo } : incident;
+      const transitionError = checkTransition(preview, status, { note: resolutionNote });
+      if (transitionError) {
+        return res.status(409).json({
+          error: transitionError,
+          from: incident.status,
+          to: status,
+          allowed: allowedTransitions(incident.status)
+        });
+      }
+    }
+
+    // Assignment goes through the workflow so both sides stay in sync
+    if (assignedTo && String(incident.assignedTo) !== String(assignedTo)) {
+      incident = await assignResponder({
+        incidentId: incident._id,
+        responderId: assignedTo,
+        actor: actorFromRequest(req),
+        reassign: true,
+        io: req.io
+      });
+    }
+
+    if (status && status !== incident.status) {
+      incident = await transitionIncident(incident, status, {
+        note: resolutionNote,
+        actor: actorFromRequest(req),
+        io: req.io
+      });
+    }
+
+    // responderNotes is kept for older clients - it now appends an internal note
+    if (responderNotes) {
+      await addNote({
+        incidentId: incident._id,
+        body: responderNotes,
+        author: { kind: 'responder', id: req.responder._id, name: req.responder.name },
+        actor: actorFromRequest(req),
+        io: req.io
+      });
+      incident = await Incident.findById(incident._id);
+    }
+
     // Emit socket event
     if (req.io) {
-      req.io.emit('incident_updated', {
+      await emitIncidentEvent(req.io, 'incident_updated', incident, {
         incidentId: incident._id,
         status: incident.status,
         updatedAt: incident.updatedAt
@@ -723,38 +1158,467 @@ router.patch('/:id/status', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error updating incident status:', error);
     return res.status(500).json({ error: 'Failed to update incident status' });
   }
 });
 
 /**
- * DELETE /:id - Delete incident (admin only)
+ * POST /:id/assign - Offer the incident to a responder (dispatcher)
+ * Body: { responderId, reassign? }
  */
-router.delete('/:id', async (req, res) => {
+router.post('/:id/assign', authorize(ACTIONS.INCIDENT_ASSIGN), async (req, res) => {
   try {
-    const incident = await Incident.findByIdAndDelete(req.params.id);
+    const { responderId, reassign } = req.body || {};
 
-    if (!incident) {
-      return res.status(404).json({ error: 'Incident not found' });
+    if (!responderId) {
+      return res.status(400).json({ error: 'responderId is required' });
     }
 
+    const incident = await assignResponder({
+      incidentId: req.params.id,
+      responderId,
+      actor: actorFromRequest(req),
+      reassign: reassign === true,
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      incident
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error assigning incident:', error);
+    return res.status(500).json({ error: 'Failed to assign incident' });
+  }
+});
+
+/**
+ * POST /:id/accept - Accept a pending assignment (assigned responder)
+ */
+router.post('/:id/accept', authorize(ACTIONS.ASSIGNMENT_RESPOND), async (req, res) => {
+  try {
+    const incident = await acceptAssignment({
+      incidentId: req.params.id,
+      responder: req.responder,
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      incident
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error accepting assignment:', error);
+    return res.status(500).json({ error: 'Failed to accept assignment' });
+  }
+});
+
+/**
+ * POST /:id/decline - Decline a pending assignment (assigned responder)
+ * Body: { reason? }
+ */
+router.post('/:id/decline', authorize(ACTIONS.ASSIGNMENT_RESPOND), async (req, res) => {
+  try {
+    const incident = await declineAssignment({
+      incidentId: req.params.id,
+      responder: req.responder,
+      reason: (req.body && req.body.reason) || '',
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      incident
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error declining assignment:', error);
+    return res.status(500).json({ error: 'Failed to decline assignment' });
+  }
+});
+
+/**
+ * POST /:id/unassign - Remove the current assignee (dispatcher)
+ */
+router.post('/:id/unassign', authorize(ACTIONS.INCIDENT_ASSIGN), async (req, res) => {
+  try {
+    const incident = await unassignIncident({
+      incidentId: req.params.id,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      incident
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error unassigning incident:', error);
+    return res.status(500).json({ error: 'Failed to unassign incident' });
+  }
+});
+
+/**
+ * PATCH /:id/tags - Add and/or remove tags
+ * Body: { add?: [string], remove?: [string] }
+ */
+router.patch('/:id/tags', authorizeOnIncident(ACTIONS.INCIDENT_TAG), async (req, res) => {
+  try {
+    const { add, remove } = parseTagChange(req.body || {});
+
+    const incident = await updateIncidentTags({
+      incidentId: req.params.id,
+      add,
+      remove,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    if (req.io) {
+      await emitIncidentEvent(req.io, 'incident_updated', incident, {
+        incidentId: incident._id,
+        tags: incident.tags,
+        updatedAt: incident.updatedAt
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      tags: incident.tags
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error updating tags:', error);
+    return res.status(500).json({ error: 'Failed to update tags' });
+  }
+});
+
+/**
+ * Apply an affected-area change and tell clients: everyone (filtered for area
+ * subscribers) gets incident_updated, the zones' responders incident_area_updated
+ */
+async function applyAffectedArea(req, affectedArea) {
+  const { incident, addedZones } = await updateAffectedArea({
+    incidentId: req.params.id,
+    affectedArea,
+    actor: actorFromRequest(req),
+    io: req.io
+  });
+
+  if (req.io) {
+    await emitIncidentEvent(req.io, 'incident_updated', incident, {
+      incidentId: incident._id,
+      affectedArea: incident.affectedArea,
+      zones: incident.zones,
+      updatedAt: incident.updatedAt
+    });
+
+    req.io.to(alertRooms(incident, req.io)).emit('incident_area_updated', {
+      incidentId: incident._id,
+      type: incident.type,
+      severity: incident.severity,
+      affectedArea: incident.affectedArea,
+      zones: incident.zones,
+      addedZones
+    });
+  }
+
+  return incident;
+}
+
+/**
+ * PATCH /:id/area - Set or redraw the affected area
+ * Body: { affectedArea: GeoJSON Polygon | MultiPolygon | LineString | MultiLineString }
+ */
+router.patch('/:id/area', authorizeOnIncident(ACTIONS.INCIDENT_AREA), async (req, res) => {
+  try {
+    const { affectedArea } = req.body || {};
+
+    if (!affectedArea) {
+      return res.status(400).json({ error: 'affectedArea is required (use DELETE to clear it)' });
+    }
+
+    const incident = await applyAffectedArea(req, affectedArea);
+
+    return res.status(200).json({
+      success: true,
+      affectedArea: incident.affectedArea,
+      zones: incident.zones
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error updating affected area:', error);
+    return res.status(500).json({ error: 'Failed to update affected area' });
+  }
+});
+
+/**
+ * DELETE /:id/area - Clear the affected area (back to a point incident)
+ */
+router.delete('/:id/area', authorizeOnIncident(ACTIONS.INCIDENT_AREA), async (req, res) => {
+  try {
+    const incident = await applyAffectedArea(req, null);
+
+    return res.status(200).json({
+      success: true,
+      affectedArea: null,
+      zones: incident.zones
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error clearing affected area:', error);
+    return res.status(500).json({ error: 'Failed to clear affected area' });
+  }
+});
+
+/**
+ * POST /:id/flag - Mark an incident as a false, prank or unfounded report
+ * Body: { outcome: 'false' | 'prank' | 'unfounded', note? }
+ * Lowers the reporter's reputation and closes the incident if it is not being worked.
+ */
+router.post('/:id/flag', authorizeOnIncident(ACTIONS.INCIDENT_FLAG), async (req, res) => {
+  try {
+    const { outcome, note } = req.body || {};
+
+    const incident = await flagIncident({
+      incidentId: req.params.id,
+      outcome,
+      note,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      incident
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error flagging incident:', error);
+    return res.status(500).json({ error: 'Failed to flag incident' });
+  }
+});
+
+/**
+ * DELETE /:id/flag - Withdraw a flag and restore the reporter's reputation
+ */
+router.delete('/:id/flag', authorizeOnIncident(ACTIONS.INCIDENT_FLAG), async (req, res) => {
+  try {
+    const incident = await unflagIncident({
+      incidentId: req.params.id,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      incident
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error unflagging incident:', error);
+    return res.status(500).json({ error: 'Failed to unflag incident' });
+  }
+});
+
+/**
+ * POST /:id/merge - Fold duplicate incidents into this (primary) incident
+ * Body: { incidentIds: [...] }
+ */
+router.post('/:id/merge', authorize(ACTIONS.INCIDENT_MERGE), async (req, res) => {
+  try {
+    const { incidentIds } = req.body || {};
+
+    if (!Array.isArray(incidentIds)) {
+      return res.status(400).json({ error: 'incidentIds must be a non-empty array' });
+    }
+
+    const incident = await mergeIncidents({
+      primaryId: req.params.id,
+      incidentIds,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    const priority = calculatePriority(incident.toObject());
+
+    // Subscribers hear about it when the primary is in their watch
+    await emitIncidentEvent(req.io, 'incidents_merged', incident, {
+      primaryId: incident._id,
+      mergedIds: incidentIds,
+      severity: incident.severity,
+      upvotes: incident.upvotes,
+      priority
+    });
+
+    return res.status(200).json({
+      success: true,
+      incident,
+      priority,
+      priorityLevel: getPriorityLevel(priority)
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error merging incidents:', error);
+    return res.status(500).json({ error: 'Failed to merge incidents' });
+  }
+});
+
+/**
+ * POST /:id/unmerge - Undo a merge
+ * Body: { incidentIds?: [...], reportIds?: [...] }
+ * incidentIds restores manually merged incidents; reportIds (linkedReports ids)
+ * also splits auto-merged reports out into new incidents.
+ */
+router.post('/:id/unmerge', authorize(ACTIONS.INCIDENT_MERGE), async (req, res) => {
+  try {
+    const { incidentIds = [], reportIds = [] } = req.body || {};
+
+    if (!Array.isArray(incidentIds) || !Array.isArray(reportIds)) {
+      return res.status(400).json({ error: 'incidentIds and reportIds must be arrays' });
+    }
+
+    const { incident, restored } = await unmergeIncidents({
+      primaryId: req.params.id,
+      incidentIds,
+      reportIds,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    const priority = calculatePriority(incident.toObject());
+
+    // Subscribers hear about it when the primary or a restored incident is in their watch
+    await emitIncidentsEvent(req.io, 'incidents_unmerged', [incident, ...restored], () => ({
+      primaryId: incident._id,
+      restoredIds: restored.map(item => item._id),
+      severity: incident.severity,
+      upvotes: incident.upvotes,
+      priority
+    }));
+
+    return res.status(200).json({
+      success: true,
+      incident,
+      restored,
+      priority,
+      priorityLevel: getPriorityLevel(priority)
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error unmerging incidents:', error);
+    return res.status(500).json({ error: 'Failed to unmerge incidents' });
+  }
+});
+
+/**
+ * DELETE /:id - Archive (soft-delete) an incident (admin)
+ * Body or query: { reason } (required). Archived incidents are purged after
+ * ARCHIVE_RETENTION_DAYS unless restored.
+ */
+router.delete('/:id', authorize(ACTIONS.INCIDENT_DELETE), async (req, res) => {
+  try {
+    const incident = await archiveIncident({
+      incidentId: req.params.id,
+      reason: (req.body && req.body.reason) || req.query.reason,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
     // Emit socket event
     if (req.io) {
-      req.io.emit('incident_deleted', {
-        incidentId: req.params.id
+      await emitIncidentEvent(req.io, 'incident_deleted', incident, {
+        incidentId: incident._id,
+        archived: true
       });
     }
 
     return res.status(200).json({
       success: true,
-      message: 'Incident deleted successfully'
+      message: 'Incident archived successfully',
+      incident
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error deleting incident:', error);
     return res.status(500).json({ error: 'Failed to delete incident' });
   }
 });
 
+/**
+ * PATCH /:id/restore - Restore an archived incident (admin)
+ */
+router.patch('/:id/restore', authorize(ACTIONS.INCIDENT_RESTORE), async (req, res) => {
+  try {
+    const incident = await restoreIncident({
+      incidentId: req.params.id,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    // Emit socket event
+    if (req.io) {
+      await emitIncidentEvent(req.io, 'incident_restored', incident, {
+        incidentId: incident._id,
+        incident: withVisibleNotes(incident.toObject(), false)
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      incident
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error restoring incident:', error);
+    return res.status(500).json({ error: 'Failed to restore incident' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { optionalAuth } = require('../middleware/auth');
+const { ACTIONS, authorize, can } = require('../middleware/permissions');
+const { HttpError } = require('../utils/errors');
+const { actorFromRequest } = require('../utils/timeline');
+const { visibleNotes, addNote, editNote, setNotePinned } = require('../utils/notes');
+
+// Mounted at /api/incidents/:id/notes
+
+/**
+ * GET / - List notes (pinned first). Anonymous callers only see public notes.
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const incident = await Incident.findById(req.params.id).select('notes').lean();
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const includeInternal = Boolean(req.responder) &&
+      can(req.responder.role, ACTIONS.NOTE_VIEW_INTERNAL);
+    const notes = visibleNotes(incident.notes, includeInternal);
+
+    return res.status(200).json({
+      count: notes.length,
+      notes
+    });
+
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    return res.status(500).json({ error: 'Failed to fetch notes' });
+  }
+});
+
+/**
+ * POST / - Add a note
+ * Body: { body, visibility? ('internal' | 'public', default 'internal') }
+ */
+router.post('/', authorize(ACTIONS.NOTE_WRITE), async (req, res) => {
+  try {
+    const { body, visibility } = req.body || {};
+
+    const note = await addNote({
+      incidentId: req.params.id,
+      body,
+      visibility,
+      author: { kind: 'responder', id: req.responder._id, name: req.responder.name },
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    return res.status(201).json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error adding note:', error);
+    return res.status(500).json({ error: 'Failed to add note' });
+  }
+});
+
+/**
+ * PATCH /:noteId - Edit a note (author only). Previous versions are kept in `edits`.
+ * Body: { body?, visibility? }
+ */
+router.patch('/:noteId', authorize(ACTIONS.NOTE_WRITE), async (req, res) => {
+  try {
+    const { body, visibility } = req.body || {};
+
+    const note = await editNote({
+      incidentId: req.params.id,
+      noteId: req.params.noteId,
+      body,
+      visibility,
+      responder: req.responder,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error editing note:', error);
+    return res.status(500).json({ error: 'Failed to edit note' });
+  }
+});
+
+/**
+ * PATCH /:noteId/pin - Pin or unpin a note
+ * Body: { pinned: boolean }
+ */
+router.patch('/:noteId/pin', authorize(ACTIONS.NOTE_PIN), async (req, res) => {
+  try {
+    const { pinned } = req.body || {};
+
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: 'pinned must be true or false' });
+    }
+
+    const note = await setNotePinned({
+      incidentId: req.params.id,
+      noteId: req.params.noteId,
+      pinned,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error pinning note:', error);
+    return res.status(500).json({ error: 'Failed to pin note' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,419 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Responder = require('../models/Responder');
+const { ACTIONS, ROLES, authorize, can, sendForbidden } = require('../middleware/permissions');
+const { authenticate } = require('../middleware/auth');
+const { syncResponderZoneRooms } = require('../utils/zones');
+const { releaseResponderIncidents } = require('../utils/assignments');
+const { actorFromRequest } = require('../utils/timeline');
+
+const VALID_DEPARTMENTS = ['Police', 'Fire', 'Medical', 'Traffic', 'General'];
+const VALID_STATUSES = ['available', 'busy', 'offline'];
+
+// Fields a responder may change on their own profile without responder:manage
+const SELF_EDITABLE_FIELDS = ['name', 'phone', 'status'];
+const MANAGED_FIELDS = ['name', 'email', 'role', 'department', 'phone', 'status', 'zones'];
+
+/**
+ * Notify dispatchers that the roster changed
+ * Only a summary goes out; contact details and live location stay behind the API.
+ */
+function emitRosterEvent(req, event, responder) {
+  if (req.io) {
+    req.io.to('dispatchers').emit(event, {
+      responderId: responder._id,
+      responder: {
+        _id: responder._id,
+        name: responder.name,
+        department: responder.department,
+        status: responder.status,
+        active: responder.active
+      }
+    });
+  }
+}
+
+/**
+ * Validate role/department/status values in a create or update payload
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateResponderFields(fields) {
+  if (fields.role !== undefined && !ROLES.includes(fields.role)) {
+    return `Invalid role. Must be one of: ${ROLES.join(', ')}`;
+  }
+  if (fields.department !== undefined && !VALID_DEPARTMENTS.includes(fields.department)) {
+    return `Invalid department. Must be one of: ${VALID_DEPARTMENTS.join(', ')}`;
+  }
+  if (fields.status !== undefined && !VALID_STATUSES.includes(fields.status)) {
+    return `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`;
+  }
+  if (fields.zones !== undefined &&
+      (!Array.isArray(fields.zones) || !fields.zones.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    return 'zones must be an array of zone IDs';
+  }
+  return null;
+}
+
+/**
+ * Validate :id params before they reach Mongoose
+ */
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: 'Responder not found' });
+  }
+  next();
+});
+
+/**
+ * GET / - List responders with filters
+ * Query params: department, status, role, includeInactive, lat, lng, radius (km), limit, page
+ * When lat/lng are given, results are ordered by distance and include `distance` (meters)
+ */
+router.get('/', authorize(ACTIONS.RESPONDER_VIEW), async (req, res) => {
+  try {
+    const {
+      department,
+      status,
+      role,
+      includeInactive,
+      lat,
+      lng,
+      radius = 10, // km
+      limit = 50,
+      page = 1
+    } = req.query;
+
+    const query = {};
+
+    if (department && department !== 'all') {
+      query.department = department;
+    }
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (role && role !== 'all') {
+      query.role = role;
+    }
+
+    if (includeInactive !== 'true') {
+      query.active = { $ne: false };
+    }
+
+    // Proximity search uses the 2dsphere index and returns distances
+    if (lat && lng) {
+      const responders = await Responder.aggregate([
+        {
+          $geoNear: {
+            near: {
+              type: 'Point',
+              coordinates: [parseFloat(lng), parseFloat(lat)]
+            },
+            distanceField: 'distance',
+            maxDistance: parseFloat(radius) * 1000, // Convert km to meters
+            query,
+            spherical: true
+          }
+        },
+        { $skip: (parseInt(page) - 1) * parseInt(limit) },
+        { $limit: parseInt(limit) },
+        { $project: { password: 0, tokenVersion: 0, refreshTokens: 0 } }
+      ]);
+
+      return res.status(200).json({
+        count: responders.length,
+        page: parseInt(page),
+        responders: responders.map(r => ({ ...r, distance: Math.round(r.distance) }))
+      });
+    }
+
+    const responders = await Responder.find(query)
+      .sort({ name: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Responder.countDocuments(query);
+
+    return res.status(200).json({
+      count: responders.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      responders
+    });
+
+  } catch (error) {
+    console.error('Error fetching responders:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch responders',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /:id - Get single responder
+ */
+router.get('/:id', authorize(ACTIONS.RESPONDER_VIEW), async (req, res) => {
+  try {
+    const responder = await Responder.findById(req.params.id);
+
+    if (!responder) {
+      return res.status(404).json({ error: 'Responder not found' });
+    }
+
+    return res.status(200).json({ responder });
+
+  } catch (error) {
+    console.error('Error fetching responder:', error);
+    return res.status(500).json({ error: 'Failed to fetch responder' });
+  }
+});
+
+/**
+ * POST / - Create a responder (admin)
+ */
+router.post('/', authorize(ACTIONS.RESPONDER_MANAGE), async (req, res) => {
+  try {
+    const { name, email, password, role, department, phone, zones } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields: name, email, password'
+      });
+    }
+
+    if (String(password).length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const validationError = validateResponderFields({ role, department, zones });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const responder = new Responder({ name, email, password, role, department, phone, zones });
+    await responder.save();
+
+    emitRosterEvent(req, 'responder_created', responder);
+
+    return res.status(201).json({
+      success: true,
+      responder
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A responder with this email already exists' });
+    }
+    console.error('Error creating responder:', error);
+    return res.status(500).json({
+      error: 'Failed to create responder',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /:id - Update responder details
+ * Admins may edit any field; responders may edit their own name, phone and status
+ */
+router.patch('/:id', authenticate, async (req, res) => {
+  try {
+    const isSelf = req.responder._id.equals(req.params.id);
+    const canManage = can(req.responder.role, ACTIONS.RESPONDER_MANAGE);
+
+    if (!canManage && !isSelf) {
+      return sendForbidden(res, req.responder.role, ACTIONS.RESPONDER_MANAGE);
+    }
+
+    const allowedFields = canManage ? MANAGED_FIELDS : SELF_EDITABLE_FIELDS;
+    const updateData = {};
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        error: `No updatable fields provided. Allowed: ${allowedFields.join(', ')}`
+      });
+    }
+
+    const validationError = validateResponderFields(updateData);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Assigned work frees a responder when it is finished or released, not by hand
+    if (!canManage && updateData.status === 'available') {
+      const current = await Responder.findById(req.params.id).select('assignedIncidents');
+      if (current && current.assignedIncidents.length > 0) {
+        return res.status(409).json({
+          error: 'You still have assigned incidents. Finish or hand them back first',
+          assignedIncidents: current.assignedIncidents
+        });
+      }
+    }
+
+    const responder = await Responder.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!responder) {
+      return res.status(404).json({ error: 'Responder not found' });
+    }
+
+    // Connected sockets follow the new zones without reconnecting
+    if (updateData.zones !== undefined && req.io) {
+      await syncResponderZoneRooms(req.io, responder);
+    }
+
+    emitRosterEvent(req, 'responder_updated', responder);
+
+    return res.status(200).json({
+      success: true,
+      responder
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A responder with this email already exists' });
+    }
+    console.error('Error updating responder:', error);
+    return res.status(500).json({ error: 'Failed to update responder' });
+  }
+});
+
+/**
+ * PATCH /:id/deactivate - Deactivate a responder, revoke their sessions and drop their sockets (admin)
+ * Their open incidents go back to the queue.
+ */
+router.patch('/:id/deactivate', authorize(ACTIONS.RESPONDER_MANAGE), async (req, res) => {
+  try {
+    if (req.responder._id.equals(req.params.id)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const responder = await Responder.findByIdAndUpdate(
+      req.params.id,
+      {
+        active: false,
+        status: 'offline',
+        deactivatedAt: new Date(),
+        refreshTokens: [],
+        assignedIncidents: [],
+        $inc: { tokenVersion: 1 }
+      },
+      { new: true }
+    );
+
+    if (!responder) {
+      return res.status(404).json({ error: 'Responder not found' });
+    }
+
+    const released = await releaseResponderIncidents({
+      responderId: responder._id,
+      actor: actorFromRequest(req),
+      io: req.io
+    });
+
+    emitRosterEvent(req, 'responder_deactivated', responder);
+
+    // Sockets authenticated before the deactivation would otherwise keep their rooms
+    if (req.io) {
+      req.io.in(`responder:${responder._id}`).disconnectSockets(true);
+    }
+
+    return res.status(200).json({
+      success: true,
+      responder,
+      releasedIncidents: released.map(incident => incident._id)
+    });
+
+  } catch (error) {
+    console.error('Error deactivating responder:', error);
+    return res.status(500).json({ error: 'Failed to deactivate responder' });
+  }
+});
+
+/**
+ * PATCH /:id/activate - Re-activate a responder (admin)
+ */
+router.patch('/:id/activate', authorize(ACTIONS.RESPONDER_MANAGE), async (req, res) => {
+  try {
+    const responder = await Responder.findByIdAndUpdate(
+      req.params.id,
+      { active: true, deactivatedAt: null },
+      { new: true }
+    );
+
+    if (!responder) {
+      return res.status(404).json({ error: 'Responder not found' });
+    }
+
+    emitRosterEvent(req, 'responder_activated', responder);
+
+    return res.status(200).json({
+      success: true,
+      responder
+    });
+
+  } catch (error) {
+    console.error('Error activating responder:', error);
+    return res.status(500).json({ error: 'Failed to activate responder' });
+  }
+});
+
+/**
+ * PATCH /:id/password - Reset a responder's password
+ * Admins may reset anyone; responders may change their own with currentPassword.
+ * All existing refresh tokens are revoked.
+ */
+router.patch('/:id/password', authenticate, async (req, res) => {
+  try {
+    const { password, currentPassword } = req.body;
+    const isSelf = req.responder._id.equals(req.params.id);
+    const canManage = can(req.responder.role, ACTIONS.RESPONDER_MANAGE);
+
+    if (!canManage && !isSelf) {
+      return sendForbidden(res, req.responder.role, ACTIONS.RESPONDER_MANAGE);
+    }
+
+    if (!password || String(password).length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const responder = await Responder.findById(req.params.id).select('+password +tokenVersion');
+
+    if (!responder) {
+      return res.status(404).json({ error: 'Responder not found' });
+    }
+
+    // Changing your own password requires proving you know the old one
+    if (isSelf && !canManage) {
+      if (!currentPassword || !(await responder.comparePassword(currentPassword))) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+    }
+
+    responder.password = password;
+    responder.tokenVersion = (responder.tokenVersion || 0) + 1;
+    responder.refreshTokens = [];
+    await responder.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    return res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+module.exports = router;
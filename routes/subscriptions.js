@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { HttpError } = require('../utils/errors');
+const {
+  createSubscription,
+  findSubscriptionByToken,
+  updateSubscription,
+  deleteSubscription
+} = require('../utils/subscriptions');
+
+// Mounted at /api/subscriptions - citizen watch areas, managed with the token from POST /
+
+/**
+ * POST / - Register a watch area
+ * Body: { lat, lng, radiusKm? } or { polygon }, plus minSeverity?, types?, label?
+ * Responds with a token; attach a socket with `subscribeArea({ token })`
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { subscription, token } = await createSubscription(req.body || {});
+
+    return res.status(201).json({
+      success: true,
+      subscription,
+      token
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error creating subscription:', error);
+    return res.status(500).json({ error: 'Failed to create subscription' });
+  }
+});
+
+/**
+ * GET /:token - Get a subscription
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const subscription = await findSubscriptionByToken(req.params.token);
+
+    return res.status(200).json({ subscription });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error fetching subscription:', error);
+    return res.status(500).json({ error: 'Failed to fetch subscription' });
+  }
+});
+
+/**
+ * PATCH /:token - Change the area or filters
+ * Body: any of { lat, lng, radiusKm } or { polygon }, minSeverity, types, label
+ */
+router.patch('/:token', async (req, res) => {
+  try {
+    const subscription = await updateSubscription({
+      subscription: await findSubscriptionByToken(req.params.token),
+      changes: req.body || {},
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      subscription
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error updating subscription:', error);
+    return res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+/**
+ * DELETE /:token - Remove a subscription
+ */
+router.delete('/:token', async (req, res) => {
+  try {
+    await deleteSubscription({
+      subscription: await findSubscriptionByToken(req.params.token),
+      io: req.io
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Subscription deleted'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error deleting subscription:', error);
+    return res.status(500).json({ error: 'Failed to delete subscription' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { HttpError } = require('../utils/errors');
+const { addNote } = require('../utils/notes');
+const { addAttachments } = require('../utils/attachments');
+const { upload, MAX_FILES_PER_UPLOAD } = require('../utils/upload');
+const { removeUploadedFile } = require('../utils/media');
+const { REPORTER_ACTOR, findIncidentByToken, trackingView } = require('../utils/tracking');
+
+// Mounted at /api/track - reporters follow up with the token from /report
+
+/**
+ * GET /:token - Public status and public notes of the tracked incident
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const incident = await findIncidentByToken(req.params.token);
+
+    return res.status(200).json({
+      incident: trackingView(incident)
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error fetching tracked incident:', error);
+    return res.status(500).json({ error: 'Failed to fetch incident' });
+  }
+});
+
+/**
+ * POST /:token/details - Add more information (stored as a public note)
+ * Body: { details }
+ */
+router.post('/:token/details', async (req, res) => {
+  try {
+    const { details } = req.body || {};
+    const incident = await findIncidentByToken(req.params.token);
+
+    const note = await addNote({
+      incidentId: incident._id,
+      body: details,
+      visibility: 'public',
+      author: REPORTER_ACTOR,
+      actor: REPORTER_ACTOR,
+      io: req.io
+    });
+
+    return res.status(201).json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error adding report details:', error);
+    return res.status(500).json({ error: 'Failed to add details' });
+  }
+});
+
+/**
+ * POST /:token/media - Add photos/videos (multipart, field "media")
+ */
+router.post('/:token/media', upload.array('media', MAX_FILES_PER_UPLOAD), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    let incident;
+    try {
+      incident = await findIncidentByToken(req.params.token);
+    } catch (error) {
+      await Promise.all(files.map(file => removeUploadedFile(`/uploads/${file.filename}`)));
+      throw error;
+    }
+
+    const updated = await addAttachments({
+      incidentId: incident._id,
+      files,
+      actor: REPORTER_ACTOR,
+      io: req.io
+    });
+
+    return res.status(201).json({
+      success: true,
+      attachments: updated.attachments,
+      severity: updated.incident.severity
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error adding report media:', error);
+    return res.status(500).json({ error: 'Failed to add media' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Zone = require('../models/Zone');
+const { ACTIONS, authorize, can, sendForbidden } = require('../middleware/permissions');
+const { optionalAuth } = require('../middleware/auth');
+const { isInvalidGeometryError } = require('../utils/geo');
+const {
+  validateBoundary,
+  findZonesFor,
+  syncZoneIncidents,
+  detachZone
+} = require('../utils/zones');
+
+const EDITABLE_FIELDS = ['name', 'code', 'agency', 'description', 'boundary', 'active'];
+
+/**
+ * Notify clients that the zone map changed
+ */
+function emitZoneEvent(req, event, zone) {
+  if (req.io) {
+    req.io.emit(event, {
+      zoneId: zone._id,
+      zone
+    });
+  }
+}
+
+/**
+ * Map save errors to client errors
+ * @returns {boolean} - true if a response was sent
+ */
+function sendZoneSaveError(res, error) {
+  if (error.code === 11000) {
+    res.status(409).json({ error: 'A zone with this code already exists' });
+    return true;
+  }
+  if (isInvalidGeometryError(error)) {
+    res.status(400).json({ error: 'Invalid boundary', message: error.message });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Validate :id params before they reach Mongoose
+ */
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: 'Zone not found' });
+  }
+  next();
+});
+
+/**
+ * GET / - List zones
+ * Query params: agency, includeInactive (zone:manage)
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { agency, includeInactive } = req.query;
+    const query = {};
+
+    if (agency && agency !== 'all') {
+      query.agency = agency;
+    }
+
+    if (includeInactive === 'true') {
+      if (!req.responder || !can(req.responder.role, ACTIONS.ZONE_MANAGE)) {
+        return sendForbidden(res, req.responder ? req.responder.role : 'public', ACTIONS.ZONE_MANAGE);
+      }
+    } else {
+      query.active = true;
+    }
+
+    const zones = await Zone.find(query).sort({ agency: 1, name: 1 }).lean();
+
+    return res.status(200).json({
+      count: zones.length,
+      zones
+    });
+
+  } catch (error) {
+    console.error('Error fetching zones:', error);
+    return res.status(500).json({ error: 'Failed to fetch zones' });
+  }
+});
+
+/**
+ * GET /lookup - Active zones containing a point
+ * Query params: lat, lng
+ */
+router.get('/lookup', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({ error: 'Valid lat and lng are required' });
+    }
+
+    const zones = await findZonesFor({ lat, lng });
+
+    return res.status(200).json({
+      count: zones.length,
+      zones
+    });
+
+  } catch (error) {
+    console.error('Error looking up zones:', error);
+    return res.status(500).json({ error: 'Failed to look up zones' });
+  }
+});
+
+/**
+ * GET /:id - Get single zone
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    return res.status(200).json({ zone });
+
+  } catch (error) {
+    console.error('Error fetching zone:', error);
+    return res.status(500).json({ error: 'Failed to fetch zone' });
+  }
+});
+
+/**
+ * POST / - Create a zone (admin)
+ * Body: { name, code, agency?, description?, boundary (GeoJSON Polygon | MultiPolygon) }
+ * Existing incidents inside the boundary are tagged with the new zone.
+ */
+router.post('/', authorize(ACTIONS.ZONE_MANAGE), async (req, res) => {
+  try {
+    const { name, code, agency, description, boundary } = req.body || {};
+
+    if (!name || !code || !boundary) {
+      return res.status(400).json({
+        error: 'Missing required fields: name, code, boundary'
+      });
+    }
+
+    const boundaryError = validateBoundary(boundary);
+    if (boundaryError) {
+      return res.status(400).json({ error: boundaryError });
+    }
+
+    const zone = await Zone.create({
+      name,
+      code,
+      agency,
+      description,
+      boundary: { type: boundary.type, coordinates: boundary.coordinates },
+      createdBy: req.responder._id
+    });
+
+    const incidentsTagged = await syncZoneIncidents(zone);
+
+    emitZoneEvent(req, 'zone_created', zone);
+
+    return res.status(201).json({
+      success: true,
+      zone,
+      incidentsTagged
+    });
+
+  } catch (error) {
+    if (sendZoneSaveError(res, error)) return;
+    console.error('Error creating zone:', error);
+    return res.status(500).json({ error: 'Failed to create zone' });
+  }
+});
+
+/**
+ * PATCH /:id - Update a zone (admin)
+ * Moving the boundary or toggling `active` re-tags incidents.
+ */
+router.patch('/:id', authorize(ACTIONS.ZONE_MANAGE), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updateData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) updateData[field] = body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        error: `No updatable fields provided. Allowed: ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    if (updateData.boundary !== undefined) {
+      const boundaryError = validateBoundary(updateData.boundary);
+      if (boundaryError) {
+        return res.status(400).json({ error: boundaryError });
+      }
+      updateData.boundary = { type: updateData.boundary.type, coordinates: updateData.boundary.coordinates };
+    }
+
+    if (updateData.active !== undefined && typeof updateData.active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be a boolean' });
+    }
+
+    const zone = await Zone.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    const incidentsTagged = updateData.boundary !== undefined || updateData.active !== undefined
+      ? await syncZoneIncidents(zone)
+      : undefined;
+
+    emitZoneEvent(req, 'zone_updated', zone);
+
+    return res.status(200).json({
+      success: true,
+      zone,
+      incidentsTagged
+    });
+
+  } catch (error) {
+    if (sendZoneSaveError(res, error)) return;
+    console.error('Error updating zone:', error);
+    return res.status(500).json({ error: 'Failed to update zone' });
+  }
+});
+
+/**
+ * DELETE /:id - Delete a zone (admin)
+ * Removes it from incidents and responder memberships.
+ */
+router.delete('/:id', authorize(ACTIONS.ZONE_MANAGE), async (req, res) => {
+  try {
+    const zone = await Zone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    await detachZone(zone._id);
+
+    emitZoneEvent(req, 'zone_deleted', zone);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Zone deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting zone:', error);
+    return res.status(500).json({ error: 'Failed to delete zone' });
+  }
+});
+
+module.exports = router;
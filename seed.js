@@ -4,13 +4,18 @@
  * This script populates the database with realistic demo incidents
  * for testing and demonstration purposes.
  * 
- * Usage: node seed.js [--clear]
+ * Usage: node seed.js [--clear] [--admin] [--milestones]
  *   --clear: Deletes all existing incidents before seeding
+ *   --admin: Only creates the first admin responder from SEED_ADMIN_EMAIL /
+ *            SEED_ADMIN_PASSWORD (and optional SEED_ADMIN_NAME)
+ *   --milestones: Only backfills missing incident milestones from the timeline
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Incident = require('./models/Incident');
+const Responder = require('./models/Responder');
+const { backfillMilestones } = require('./utils/incidentStatus');
 
 // Demo incident data with realistic scenarios
 const demoIncidents = [
@@ -375,6 +380,29 @@ const demoIncidents = [
   }
 ];
 
+async function seedAdmin() {
+  const email = process.env.SEED_ADMIN_EMAIL;
+  const password = process.env.SEED_ADMIN_PASSWORD;
+
+  if (!email || !password) {
+    throw new Error('SEED_ADMIN_EMAIL and SEED_ADMIN_PASSWORD must be set');
+  }
+
+  const existing = await Responder.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    console.log(`   ⚠️  Responder ${email} already exists (role: ${existing.role})\n`);
+    return;
+  }
+
+  await Responder.create({
+    name: process.env.SEED_ADMIN_NAME || 'Administrator',
+    email,
+    password,
+    role: 'admin'
+  });
+  console.log(`   ✅ Created admin responder ${email}\n`);
+}
+
 async function seedDatabase() {
   const clearFlag = process.argv.includes('--clear');
   
@@ -389,6 +417,19 @@ async function seedDatabase() {
     });
     console.log('✅ Connected to MongoDB\n');
 
+    if (process.argv.includes('--admin')) {
+      console.log('👤 Creating admin responder...');
+      await seedAdmin();
+      return;
+    }
+
+    if (process.argv.includes('--milestones')) {
+      console.log('⏱️  Backfilling incident milestones from the timeline...');
+      const stamped = await backfillMilestones();
+      console.log(`   ✅ Stamped ${stamped} milestones\n`);
+      return;
+    }
+
     // Clear existing data if flag is set
     if (clearFlag) {
       console.log('🗑️  Clearing existing incidents...');
@@ -9,11 +9,32 @@ const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { authenticateSocket } = require('./middleware/auth');
+const { ACTIONS, can } = require('./middleware/permissions');
+const { handleLocationUpdate, markStaleLocations } = require('./utils/locationTracker');
+const { expirePendingAssignments } = require('./utils/assignments');
+const { purgeArchivedIncidents } = require('./utils/retention');
+const { escalateSlaBreaches } = require('./utils/sla');
+const { sweepStaleIncidents } = require('./utils/staleness');
+const { scheduleJob } = require('./utils/scheduler');
+const { incidentRoom, incidentStaffRoom } = require('./utils/timeline');
+const { zoneRoom, responderZoneRooms } = require('./utils/zones');
+const { attachSubscription, detachSubscription } = require('./utils/subscriptions');
+const { findIncidentByToken } = require('./utils/tracking');
+const { reportLimitFor } = require('./utils/reputation');
+const { HttpError } = require('./utils/errors');
 
 const app = express();
 const server = http.createServer(app);
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Render terminates TLS in front of the app: take the client IP from one
+// X-Forwarded-For hop, or TRUST_PROXY (hop count, subnet list, ...) when set
+const trustProxy = process.env.TRUST_PROXY;
+app.set('trust proxy', trustProxy === undefined
+  ? (isProduction ? 1 : false)
+  : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -47,7 +68,7 @@ const generalLimiter = rateLimit({
 // Strict rate limiter for incident reporting (prevent spam)
 const reportLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 10, // limit each IP to 10 reports per 5 minutes
+  max: reportLimitFor, // 10 reports per 5 minutes, fewer for reporters with flagged false reports
   message: { error: 'Too many incident reports. Please wait before submitting again.' },
   standardHeaders: true,
   legacyHeaders: false
@@ -62,6 +83,24 @@ const aiLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Upvote limiter (one identity per vote, but identities are cheap to mint)
+const upvoteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 upvote changes per window
+  message: { error: 'Too many upvotes. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Login limiter (slow down credential stuffing)
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 login attempts per window
+  message: { error: 'Too many login attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Apply general limiter to all routes
 app.use(generalLimiter);
 
@@ -151,11 +190,28 @@ mongoose.connection.on('error', (err) => {
 // Track connected clients
 let connectedClients = 0;
 
+// Identify responder sockets from handshake.auth.token (anonymous sockets still allowed)
+io.use(authenticateSocket);
+
 // Socket.IO Connection Handler
 io.on('connection', (socket) => {
   connectedClients++;
   console.log(`User Connected. Total clients: ${connectedClients}`);
 
+  const responder = socket.data.responder;
+
+  if (responder) {
+    // Personal room for direct notifications
+    socket.join(`responder:${responder.id}`);
+
+    if (can(responder.role, ACTIONS.LOCATION_VIEW)) {
+      socket.join('dispatchers');
+    }
+
+    // Alerts for the responder's jurisdiction zones (every zone when none are listed)
+    socket.join(responderZoneRooms(responder));
+  }
+
   // Join responder room
   socket.on('joinResponderRoom', () => {
     socket.join('responders');
@@ -168,6 +224,79 @@ io.on('connection', (socket) => {
     console.log('Responder left responder room');
   });
 
+  // Follow a jurisdiction zone's alerts (e.g. a station display covering a zone)
+  socket.on('joinZone', (zoneId) => {
+    if (!mongoose.Types.ObjectId.isValid(zoneId)) return;
+    socket.join(zoneRoom(zoneId));
+  });
+
+  socket.on('leaveZone', (zoneId) => {
+    socket.leave(zoneRoom(zoneId));
+  });
+
+  // Follow a single incident (detail views). Staff also get its timeline entries.
+  socket.on('watchIncident', (incidentId) => {
+    if (!mongoose.Types.ObjectId.isValid(incidentId)) return;
+
+    socket.join(incidentRoom(incidentId));
+    if (responder && can(responder.role, ACTIONS.INCIDENT_TIMELINE)) {
+      socket.join(incidentStaffRoom(incidentId));
+    }
+  });
+
+  // Reporters follow their own incident with the tracking token from /report
+  socket.on('trackIncident', async (token, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const incident = await findIncidentByToken(token);
+      socket.join(incidentRoom(incident._id));
+      reply({ ok: true, incidentId: incident._id, status: incident.status });
+    } catch (error) {
+      reply({ ok: false, error: error instanceof HttpError ? error.message : 'Failed to track incident' });
+    }
+  });
+
+  socket.on('unwatchIncident', (incidentId) => {
+    socket.leave(incidentRoom(incidentId));
+    socket.leave(incidentStaffRoom(incidentId));
+  });
+
+  // Public app: only receive incident events for a watch area
+  // ({ token } of a persisted subscription, or { lat, lng, radiusKm | polygon, minSeverity, types })
+  socket.on('subscribeArea', async (spec, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      reply({ ok: true, ...(await attachSubscription(socket, spec || {})) });
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('Error subscribing socket:', error.message);
+      }
+      reply({ ok: false, error: error instanceof HttpError ? error.message : 'Failed to subscribe' });
+    }
+  });
+
+  socket.on('unsubscribeArea', () => {
+    detachSubscription(socket);
+  });
+
+  // Live location stream from responder devices
+  socket.on('location_update', async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!responder || !can(responder.role, ACTIONS.LOCATION_REPORT)) {
+      return reply({ ok: false, error: 'Authentication required' });
+    }
+
+    try {
+      reply(await handleLocationUpdate(io, socket, payload));
+    } catch (error) {
+      console.error('Error handling location update:', error.message);
+      reply({ ok: false, error: 'Failed to update location' });
+    }
+  });
+
   socket.on('disconnect', () => {
     connectedClients--;
     console.log(`User Disconnected. Total clients: ${connectedClients}`);
@@ -185,6 +314,11 @@ const emitToResponders = (event, data) => {
 
 // Import Routes
 const incidentsRouter = require('./routes/incidents');
+const authRouter = require('./routes/auth');
+const respondersRouter = require('./routes/responders');
+const trackRouter = require('./routes/track');
+const zonesRouter = require('./routes/zones');
+const subscriptionsRouter = require('./routes/subscriptions');
 
 // Routes
 // Root Route
@@ -197,14 +331,28 @@ app.get('/', (req, res) => {
     connectedClients,
     endpoints: {
       health: 'GET /api/health',
+      login: 'POST /api/auth/login',
+      refreshToken: 'POST /api/auth/refresh',
+      logout: 'POST /api/auth/logout',
+      responders: 'GET /api/responders',
+      zones: 'GET /api/zones',
       incidents: 'GET /api/incidents',
+      incidentClusters: 'GET /api/incidents/clusters',
       incidentStats: 'GET /api/incidents/stats',
+      incidentAnalytics: 'GET /api/incidents/analytics',
       priorityQueue: 'GET /api/incidents/priority-queue',
+      slaBreaches: 'GET /api/incidents/sla-breaches',
       reportIncident: 'POST /api/incidents/report',
+      trackReport: 'GET /api/track/:token',
+      subscribeArea: 'POST /api/subscriptions',
       upvoteIncident: 'PATCH /api/incidents/:id/upvote',
+      removeUpvote: 'DELETE /api/incidents/:id/upvote',
       verifyIncident: 'PATCH /api/incidents/:id/verify',
       updateStatus: 'PATCH /api/incidents/:id/status',
-      deleteIncident: 'DELETE /api/incidents/:id'
+      updateAffectedArea: 'PATCH /api/incidents/:id/area',
+      assignIncident: 'POST /api/incidents/:id/assign',
+      deleteIncident: 'DELETE /api/incidents/:id',
+      restoreIncident: 'PATCH /api/incidents/:id/restore'
     }
   });
 });
@@ -220,12 +368,32 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Mount Auth Routes
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth', authRouter);
+
+// Mount Responder Management Routes
+app.use('/api/responders', respondersRouter);
+
+// Mount Jurisdiction Zone Routes
+app.use('/api/zones', zonesRouter);
+
 // Mount Incidents Routes with specific rate limiters
 app.use('/api/incidents/report', reportLimiter); // Stricter limit for reporting
 app.use('/api/incidents/analyze', aiLimiter); // AI analysis limit
 app.use('/api/incidents/:id/analyze', aiLimiter); // AI analysis limit
+app.use('/api/incidents/:id/media', aiLimiter); // Follow-up uploads are re-analyzed
+app.use('/api/incidents/:id/upvote', upvoteLimiter); // Limit upvote churn per IP
 app.use('/api/incidents', incidentsRouter);
 
+// Mount reporter tracking routes (token from /report, no account needed)
+app.use('/api/track/:token/details', reportLimiter);
+app.use('/api/track/:token/media', aiLimiter);
+app.use('/api/track', trackRouter);
+
+// Mount citizen area-alert subscriptions (token from POST /, no account needed)
+app.use('/api/subscriptions', subscriptionsRouter);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err.message);
@@ -245,6 +413,13 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background jobs
+  scheduleJob('stale-locations', 30 * 1000, () => markStaleLocations(io));
+  scheduleJob('assignment-timeouts', 15 * 1000, () => expirePendingAssignments(io));
+  scheduleJob('archive-retention', 60 * 60 * 1000, () => purgeArchivedIncidents(io));
+  scheduleJob('stale-incidents', parseInt(process.env.STALE_CHECK_INTERVAL_MS) || 5 * 60 * 1000, () => sweepStaleIncidents(io));
+  scheduleJob('sla-escalation', parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 30 * 1000, () => escalateSlaBreaches(io));
 });
 
 module.exports = { app, server, io, emitToAll, emitToResponders };
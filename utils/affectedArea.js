@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { SYSTEM_ACTOR, recordEvent } = require('./timeline');
+const { parseAreaGeometry, isInvalidGeometryError } = require('./geo');
+const { zoneIdsFor } = require('./zones');
+const { recordActivity } = require('./staleness');
+
+/**
+ * Affected areas of area-shaped incidents (floods, wildfires, road closures)
+ * The reported point stays in `location`; the area is a GeoJSON polygon or
+ * line that crews redraw as the event grows. Area searches, zone routing,
+ * duplicate checks and citizen alerts match against both.
+ */
+
+/**
+ * Set, replace or clear an incident's affected area
+ * @param {Object} params - { incidentId, affectedArea (GeoJSON or JSON string; null clears), actor, io }
+ * @returns {Object} - { incident, addedZones } (zones the area newly reaches)
+ * @throws {HttpError} - 400 for invalid geometry, 404 for unknown incidents
+ */
+async function updateAffectedArea({ incidentId, affectedArea, actor = SYSTEM_ACTOR, io = null }) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const area = affectedArea === null ? null : parseAreaGeometry(affectedArea);
+
+  const incident = await Incident.findOne({ _id: incidentId, ...Incident.visibleFilter() });
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const before = incident.affectedArea && incident.affectedArea.type
+    ? { type: incident.affectedArea.type, coordinates: incident.affectedArea.coordinates }
+    : null;
+  const previousZones = incident.zones.map(String);
+
+  incident.affectedArea = area || undefined;
+  incident.affectedAreaUpdatedAt = area ? new Date() : null;
+  incident.zones = await zoneIdsFor(incident.location, area);
+
+  try {
+    await incident.save();
+  } catch (error) {
+    if (isInvalidGeometryError(error)) {
+      throw new HttpError(400, 'Invalid affectedArea', { message: error.message });
+    }
+    throw error;
+  }
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: area ? 'area_updated' : 'area_cleared',
+    actor,
+    before: { affectedArea: before },
+    after: { affectedArea: area, zones: incident.zones },
+    io
+  });
+
+  // A redrawn area means the event is still live
+  await recordActivity(incident._id, { actor, io, reason: 'area_update' });
+
+  return {
+    incident,
+    addedZones: incident.zones.filter(zoneId => !previousZones.includes(String(zoneId)))
+  };
+}
+
+module.exports = {
+  updateAffectedArea
+};
@@ -1,6 +1,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
 const path = require('path');
+const { distanceToIncident } = require('./geo');
 
 // Initialize Google Generative AI with API key
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -215,18 +216,12 @@ async function detectDuplicates(newIncident, existingIncidents) {
     const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
     
     const nearbyIncidents = existingIncidents.filter(incident => {
-      // Check time
-      if (new Date(incident.timestamp) < twoHoursAgo) return false;
+      // Check time (area incidents count for as long as they are open)
+      const hasArea = incident.affectedArea && incident.affectedArea.type;
+      if (!hasArea && new Date(incident.timestamp) < twoHoursAgo) return false;
       
-      // Check distance (500m)
-      const distance = calculateDistance(
-        newIncident.location.lat,
-        newIncident.location.lng,
-        incident.location.lat,
-        incident.location.lng
-      );
-      
-      return distance <= 500;
+      // Check distance (500m from the point or the affected area)
+      return distanceToIncident(newIncident.location, incident) <= 500;
     });
 
     if (nearbyIncidents.length === 0) {
@@ -283,22 +278,4 @@ Only include incidents with confidence > 50. Return empty array [] if no duplica
   }
 }
 
-/**
- * Calculate distance between two points using Haversine formula
- */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = (lat1 * Math.PI) / 180;
-  const φ2 = (lat2 * Math.PI) / 180;
-  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-  const Δλ = ((lng2 - lng1) * Math.PI) / 180;
-
-  const a =
-    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-  return R * c;
-}
-
 module.exports = { analyzeIncident, detectDuplicates };
@@ -0,0 +1,202 @@
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { buildIncidentFilter } = require('./incidentFilters');
+
+/**
+ * Incident analytics for dashboards
+ * Report counts bucketed by hour/day/week (UTC; weeks start on Monday) and
+ * response times from the report to the first time an incident was verified,
+ * dispatched and resolved (the milestones stamped by utils/incidentStatus.js).
+ * Both cover the incidents reported in the requested range.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const INTERVALS = {
+  hour: { ms: HOUR_MS, defaultRange: 2 * DAY_MS },
+  day: { ms: DAY_MS, defaultRange: 30 * DAY_MS },
+  week: { ms: 7 * DAY_MS, defaultRange: 12 * 7 * DAY_MS }
+};
+
+const MAX_BUCKETS = parseInt(process.env.ANALYTICS_MAX_BUCKETS) || 1000;
+
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// Response-time KPI -> milestones field it ends at
+const RESPONSE_TIMES = {
+  toVerification: 'verifiedAt',
+  toDispatch: 'dispatchedAt',
+  toResolution: 'resolvedAt'
+};
+
+/**
+ * Start of the bucket a date falls in (same boundaries as $dateTrunc in UTC)
+ */
+function bucketStart(date, interval) {
+  const start = new Date(date);
+  if (interval === 'hour') {
+    start.setUTCMinutes(0, 0, 0);
+    return start;
+  }
+
+  start.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Validate the interval and date range
+ * @param {Object} params - { interval = 'day', startDate?, endDate? }
+ * @returns {Object} - { interval, from, to } (missing dates default to a range sized for the interval)
+ * @throws {HttpError} - 400 for an unknown interval, bad dates or too many buckets
+ */
+function parseAnalyticsRange({ interval = 'day', startDate, endDate } = {}) {
+  if (!INTERVALS[interval]) {
+    throw new HttpError(400, `Invalid interval. Must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+
+  const to = endDate ? parseDate(endDate, 'endDate') : new Date();
+  const from = startDate
+    ? parseDate(startDate, 'startDate')
+    : new Date(to.getTime() - INTERVALS[interval].defaultRange);
+
+  if (from > to) {
+    throw new HttpError(400, 'startDate must be before endDate');
+  }
+
+  const buckets = Math.ceil((to - bucketStart(from, interval)) / INTERVALS[interval].ms);
+  if (buckets > MAX_BUCKETS) {
+    throw new HttpError(400, `Range too long for ${interval} buckets (at most ${MAX_BUCKETS})`, { buckets });
+  }
+
+  return { interval, from, to };
+}
+
+/**
+ * Durations from report to a milestone, ascending
+ */
+function durationStages(field) {
+  return [
+    { $match: { [`milestones.${field}`]: { $ne: null } } },
+    { $project: { _id: 0, ms: { $subtract: [`$milestones.${field}`, '$timestamp'] } } },
+    { $match: { ms: { $gte: 0 } } },
+    { $sort: { ms: 1 } },
+    { $group: { _id: null, durations: { $push: '$ms' } } }
+  ];
+}
+
+/**
+ * Nearest-rank percentile of an ascending list
+ */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function toMinutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+function summarizeDurations(facet) {
+  const durations = facet.length > 0 ? facet[0].durations : [];
+  if (durations.length === 0) {
+    return { count: 0, medianMinutes: null, p90Minutes: null };
+  }
+  return {
+    count: durations.length,
+    medianMinutes: toMinutes(percentile(durations, 0.5)),
+    p90Minutes: toMinutes(percentile(durations, 0.9))
+  };
+}
+
+/**
+ * Every bucket in the range, zero-filled where nothing was reported
+ */
+function fillSeries(groups, { interval, from, to }) {
+  const counts = new Map();
+  for (const { _id, count } of groups) {
+    const key = _id.bucket.getTime();
+    if (!counts.has(key)) {
+      counts.set(key, { count: 0, bySeverity: Object.fromEntries(SEVERITIES.map(severity => [severity, 0])) });
+    }
+    const bucket = counts.get(key);
+    bucket.count += count;
+    if (_id.severity in bucket.bySeverity) bucket.bySeverity[_id.severity] += count;
+  }
+
+  const series = [];
+  for (let start = bucketStart(from, interval); start <= to; start = new Date(start.getTime() + INTERVALS[interval].ms)) {
+    const bucket = counts.get(start.getTime());
+    series.push({
+      start,
+      count: bucket ? bucket.count : 0,
+      bySeverity: bucket
+        ? bucket.bySeverity
+        : Object.fromEntries(SEVERITIES.map(severity => [severity, 0]))
+    });
+  }
+  return series;
+}
+
+/**
+ * Time series and response-time KPIs in one aggregation
+ * @param {Object} params - Query params: interval, startDate, endDate, plus the
+ *   list filters (type, severity, zone, status, tag)
+ * @returns {Object} - { interval, from, to, total, series, responseTimes }
+ * @throws {HttpError} - 400 for invalid params
+ */
+async function incidentAnalytics(params = {}) {
+  const range = parseAnalyticsRange(params);
+  const query = buildIncidentFilter({ ...params, startDate: range.from, endDate: range.to });
+
+  const facets = {
+    series: [
+      {
+        $group: {
+          _id: {
+            bucket: { $dateTrunc: { date: '$timestamp', unit: range.interval, startOfWeek: 'monday' } },
+            severity: '$severity'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]
+  };
+  for (const [name, field] of Object.entries(RESPONSE_TIMES)) {
+    facets[name] = durationStages(field);
+  }
+
+  const [result] = await Incident.aggregate([
+    { $match: query },
+    { $facet: facets }
+  ]);
+
+  const series = fillSeries(result.series, range);
+  const responseTimes = {};
+  for (const name of Object.keys(RESPONSE_TIMES)) {
+    responseTimes[name] = summarizeDurations(result[name]);
+  }
+
+  return {
+    interval: range.interval,
+    from: range.from,
+    to: range.to,
+    total: series.reduce((sum, bucket) => sum + bucket.count, 0),
+    series,
+    responseTimes
+  };
+}
+
+module.exports = {
+  incidentAnalytics
+};
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { SYSTEM_ACTOR, recordEvent } = require('./timeline');
+const { unassignIncident } = require('./assignments');
+
+/**
+ * Soft-delete an incident into the archive (purged later by utils/retention.js)
+ * @param {Object} params - { incidentId, reason, actor, io }
+ * @returns {Object} - Archived incident
+ * @throws {HttpError} - 400 without a reason, 404 unknown, 409 already archived
+ */
+async function archiveIncident({ incidentId, reason, actor = SYSTEM_ACTOR, io = null }) {
+  const archiveReason = String(reason || '').trim();
+
+  if (!archiveReason) {
+    throw new HttpError(400, 'A reason is required to delete an incident');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  let incident = await Incident.findById(incidentId);
+
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  if (incident.archived) {
+    throw new HttpError(409, 'Incident is already archived');
+  }
+
+  // Free the responder before the incident disappears from the queue
+  if (incident.assignedTo) {
+    await unassignIncident({ incidentId: incident._id, actor, io });
+  }
+
+  incident = await Incident.findOneAndUpdate(
+    { _id: incident._id, archived: { $ne: true } },
+    {
+      archived: true,
+      archivedAt: new Date(),
+      archivedBy: actor.id || null,
+      archiveReason
+    },
+    { new: true }
+  );
+
+  if (!incident) {
+    throw new HttpError(409, 'Incident is already archived');
+  }
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'archived',
+    actor,
+    before: { archived: false },
+    after: { archived: true, archiveReason },
+    io
+  });
+
+  return incident;
+}
+
+/**
+ * Bring an archived incident back
+ * @param {Object} params - { incidentId, actor, io }
+ * @returns {Object} - Restored incident
+ * @throws {HttpError} - 404 unknown, 409 not archived
+ */
+async function restoreIncident({ incidentId, actor = SYSTEM_ACTOR, io = null }) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findOneAndUpdate(
+    { _id: incidentId, archived: true },
+    {
+      archived: false,
+      archivedAt: null,
+      archivedBy: null,
+      archiveReason: ''
+    },
+    { new: true }
+  );
+
+  if (!incident) {
+    const exists = await Incident.exists({ _id: incidentId });
+    throw exists
+      ? new HttpError(409, 'Incident is not archived')
+      : new HttpError(404, 'Incident not found');
+  }
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'restored',
+    actor,
+    before: { archived: true },
+    after: { archived: false },
+    io
+  });
+
+  return incident;
+}
+
+module.exports = { archiveIncident, restoreIncident };
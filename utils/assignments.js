@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const Responder = require('../models/Responder');
+const { HttpError } = require('./errors');
+const { transitionIncident, releaseResponder } = require('./incidentStatus');
+const { SYSTEM_ACTOR, recordEvent, responderActor } = require('./timeline');
+const { emitIncidentEvent } = require('./subscriptions');
+const { recordActivity } = require('./staleness');
+
+/**
+ * Assignment workflow - keeps Incident.assignedTo and
+ * Responder.assignedIncidents in sync and notifies the responder's socket.
+ *
+ *   assign -> pending --accept--> accepted
+ *                     --decline / timeout / unassign--> back to the queue
+ */
+
+const ASSIGNMENT_TIMEOUT_MS = parseInt(process.env.ASSIGNMENT_TIMEOUT_MS) || 2 * 60 * 1000;
+
+const CLOSED_STATUSES = ['Resolved', 'Closed'];
+
+/**
+ * Record an assignment change on the timeline, then notify the responder
+ * directly and the staff rooms
+ */
+async function publishAssignment(io, event, incident, responderId, actor, extra = {}) {
+  await recordEvent({
+    incidentId: incident._id,
+    action: event,
+    actor,
+    after: { assignedTo: incident.assignedTo, assignment: incident.assignment },
+    meta: { responderId, ...extra },
+    io
+  });
+
+  if (!io) return;
+
+  const payload = {
+    incidentId: incident._id,
+    responderId,
+    assignment: incident.assignment,
+    ...extra
+  };
+
+  io.to(`responder:${responderId}`).emit(event, { ...payload, incident });
+  io.to(['responders', 'dispatchers']).emit('assignment_updated', { event, ...payload });
+}
+
+function assertObjectId(id, label) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new HttpError(404, `${label} not found`);
+  }
+}
+
+/**
+ * Clear the assignment on an incident and free up the responder
+ * @param {Object} incident - Incident document (assignedTo must be set)
+ * @param {Object} options - { event, actor, io, extra }
+ *   event: socket event / timeline action, extra: additional payload fields
+ * @returns {Object} - Updated incident
+ */
+async function releaseAssignment(incident, { event, actor = SYSTEM_ACTOR, io = null, extra = {} }) {
+  const responderId = incident.assignedTo;
+
+  // Match the state we loaded so a concurrent accept/reassign isn't undone
+  let updated = await Incident.findOneAndUpdate(
+    { _id: incident._id, assignedTo: responderId, 'assignment.status': incident.assignment.status },
+    {
+      assignedTo: null,
+      assignment: { status: null, assignedBy: null, assignedAt: null, respondedAt: null, expiresAt: null }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, 'Assignment changed concurrently, please retry');
+  }
+
+  // Only frees the responder once they have nothing else on their plate
+  await releaseResponder(responderId, incident._id);
+
+  // A dispatched incident without a unit goes back to the verified queue
+  if (['Dispatched', 'In Progress'].includes(updated.status)) {
+    updated = await transitionIncident(updated, 'Verified', { actor, io });
+
+    await emitIncidentEvent(io, 'incident_updated', updated, {
+      incidentId: updated._id,
+      status: updated.status,
+      updatedAt: updated.updatedAt
+    });
+  }
+
+  await publishAssignment(io, event, updated, responderId, actor, extra);
+  return updated;
+}
+
+/**
+ * Offer an incident to a responder
+ * @param {Object} params - { incidentId, responderId, actor, reassign, io }
+ * @returns {Object} - Updated incident
+ */
+async function assignResponder({ incidentId, responderId, actor = SYSTEM_ACTOR, reassign = false, io = null }) {
+  assertObjectId(incidentId, 'Incident');
+  assertObjectId(responderId, 'Responder');
+
+  const incident = await Incident.findById(incidentId);
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  if (incident.archived) {
+    throw new HttpError(409, 'Cannot assign an archived incident');
+  }
+
+  if (CLOSED_STATUSES.includes(incident.status)) {
+    throw new HttpError(409, `Cannot assign a ${incident.status} incident`);
+  }
+
+  if (incident.assignedTo) {
+    if (incident.assignedTo.equals(responderId)) {
+      throw new HttpError(409, 'Incident is already assigned to this responder');
+    }
+    if (!reassign) {
+      throw new HttpError(409, 'Incident is already assigned. Unassign it first or pass reassign: true');
+    }
+  }
+
+  const responder = await Responder.findById(responderId);
+  if (!responder || responder.active === false) {
+    throw new HttpError(404, 'Responder not found');
+  }
+
+  if (responder.status !== 'available') {
+    throw new HttpError(409, `Responder is ${responder.status}`);
+  }
+
+  // Reserve the new responder before touching the current assignment, so losing
+  // the unit to another dispatcher leaves the incident as it was
+  const reserved = await Responder.findOneAndUpdate(
+    { _id: responderId, status: 'available' },
+    { status: 'busy', $addToSet: { assignedIncidents: incident._id } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    throw new HttpError(409, 'Responder is no longer available');
+  }
+
+  // A reassign swaps the assignee in place; the incident keeps its status
+  const previousId = incident.assignedTo;
+  const current = previousId
+    ? { assignedTo: previousId, 'assignment.status': incident.assignment.status }
+    : { assignedTo: null };
+
+  const now = new Date();
+  const updated = await Incident.findOneAndUpdate(
+    { _id: incident._id, ...current },
+    {
+      assignedTo: reserved._id,
+      assignment: {
+        status: 'pending',
+        assignedBy: actor.id || null,
+        assignedAt: now,
+        respondedAt: null,
+        expiresAt: new Date(now.getTime() + ASSIGNMENT_TIMEOUT_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Someone else changed the assignment in the meantime - undo the reservation
+    await releaseResponder(reserved._id, incident._id);
+    throw new HttpError(409, 'Incident was assigned concurrently, please retry');
+  }
+
+  if (previousId) {
+    await releaseResponder(previousId, incident._id);
+    await publishAssignment(io, 'assignment_cancelled', updated, previousId, actor, { reason: 'reassigned' });
+  }
+
+  await publishAssignment(io, 'assignment_offered', updated, reserved._id, actor);
+
+  // Dispatching a unit answers an "awaiting confirmation" mark
+  await recordActivity(updated._id, { actor, io, reason: 'assignment' });
+  return updated;
+}
+
+/**
+ * Load an incident and check the responder holds its assignment
+ */
+async function loadOwnAssignment(incidentId, responder) {
+  assertObjectId(incidentId, 'Incident');
+
+  const incident = await Incident.findById(incidentId);
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  if (!incident.assignedTo || !incident.assignedTo.equals(responder._id)) {
+    throw new HttpError(403, 'This incident is not assigned to you');
+  }
+
+  return incident;
+}
+
+/**
+ * Accept a pending assignment
+ * @param {Object} params - { incidentId, responder, io }
+ * @returns {Object} - Updated incident
+ */
+async function acceptAssignment({ incidentId, responder, io = null }) {
+  const incident = await loadOwnAssignment(incidentId, responder);
+
+  if (incident.assignment.status !== 'pending') {
+    throw new HttpError(409, 'Assignment is not awaiting a response');
+  }
+
+  const updated = await Incident.findOneAndUpdate(
+    { _id: incident._id, assignedTo: responder._id, 'assignment.status': 'pending' },
+    {
+      'assignment.status': 'accepted',
+      'assignment.respondedAt': new Date(),
+      'assignment.expiresAt': null
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, 'Assignment expired or was withdrawn');
+  }
+
+  await publishAssignment(io, 'assignment_accepted', updated, responder._id, responderActor(responder));
+  return updated;
+}
+
+/**
+ * Decline a pending assignment - the incident returns to the queue
+ * @param {Object} params - { incidentId, responder, reason, io }
+ * @returns {Object} - Updated incident
+ */
+async function declineAssignment({ incidentId, responder, reason = '', io = null }) {
+  const incident = await loadOwnAssignment(incidentId, responder);
+
+  if (incident.assignment.status !== 'pending') {
+    throw new HttpError(409, 'Only pending assignments can be declined. Ask a dispatcher to unassign you');
+  }
+
+  return releaseAssignment(incident, {
+    event: 'assignment_declined',
+    actor: responderActor(responder),
+    io,
+    extra: { reason }
+  });
+}
+
+/**
+ * Remove the current assignee (dispatcher action)
+ * @param {Object} params - { incidentId, actor, io }
+ * @returns {Object} - Updated incident
+ */
+async function unassignIncident({ incidentId, actor = SYSTEM_ACTOR, io = null }) {
+  assertObjectId(incidentId, 'Incident');
+
+  const incident = await Incident.findById(incidentId);
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  if (!incident.assignedTo) {
+    throw new HttpError(409, 'Incident is not assigned');
+  }
+
+  return releaseAssignment(incident, {
+    event: 'assignment_cancelled',
+    actor,
+    io,
+    extra: { reason: 'unassigned' }
+  });
+}
+
+/**
+ * Return pending assignments nobody accepted in time to the queue
+ * @param {Object} io - Socket.IO server
+ * @returns {number} - Number of expired assignments
+ */
+async function expirePendingAssignments(io) {
+  const expired = await Incident.find({
+    'assignment.status': 'pending',
+    'assignment.expiresAt': { $lte: new Date() }
+  });
+
+  let count = 0;
+  for (const incident of expired) {
+    try {
+      await releaseAssignment(incident, {
+        event: 'assignment_expired',
+        io,
+        extra: { reason: 'timeout' }
+      });
+      count++;
+    } catch (error) {
+      // Accepted or reassigned while we were sweeping - nothing to do
+      if (!(error instanceof HttpError)) throw error;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Return every open incident held by a responder to the queue (deactivation)
+ * @param {Object} params - { responderId, actor, io }
+ * @returns {Array} - Released incidents
+ */
+async function releaseResponderIncidents({ responderId, actor = SYSTEM_ACTOR, io = null }) {
+  const held = await Incident.find({
+    assignedTo: responderId,
+    status: { $nin: CLOSED_STATUSES }
+  });
+
+  const released = [];
+  for (const incident of held) {
+    try {
+      released.push(await releaseAssignment(incident, {
+        event: 'assignment_cancelled',
+        actor,
+        io,
+        extra: { reason: 'deactivated' }
+      }));
+    } catch (error) {
+      // Reassigned while we were releasing - no longer theirs
+      if (!(error instanceof HttpError)) throw error;
+    }
+  }
+
+  return released;
+}
+
+module.exports = {
+  assignResponder,
+  acceptAssignment,
+  declineAssignment,
+  unassignIncident,
+  releaseResponderIncidents,
+  expirePendingAssignments
+};
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { analyzeIncident } = require('./ai');
+const { HttpError } = require('./errors');
+const { recordEvent, incidentRoom } = require('./timeline');
+const { removeUploadedFile } = require('./media');
+const { recomputeSeverity } = require('./merge');
+const { toAttachment, isImage } = require('./upload');
+const { emitIncidentEvent } = require('./subscriptions');
+const { reportPriorityScore } = require('./priorityScorer');
+const { recordActivity } = require('./staleness');
+
+/**
+ * Incident media attachments
+ * Photos and videos can be added after the report; new images trigger a
+ * fresh AI assessment.
+ */
+
+function uploaderFromActor(actor) {
+  return {
+    kind: actor.kind === 'system' ? 'public' : actor.kind,
+    id: actor.id || null,
+    name: actor.name || 'Anonymous'
+  };
+}
+
+/**
+ * Re-run the AI assessment with a newly attached image.
+ * Scored like /report, so a non-emergency image costs priority and severity.
+ * Failures are logged - the upload itself already succeeded.
+ */
+async function reanalyzeWithImage(incident, attachment, actor, io) {
+  try {
+    const previousSeverity = incident.severity;
+    const aiAnalysis = await analyzeIncident(
+      incident.description,
+      incident.type,
+      `uploads/${attachment.url.split('/').pop()}`
+    );
+
+    aiAnalysis.priorityScore = reportPriorityScore(aiAnalysis);
+
+    incident.ai_analysis = aiAnalysis;
+    incident.severity = recomputeSeverity(incident);
+    await incident.save();
+
+    await recordEvent({
+      incidentId: incident._id,
+      action: 'reanalyzed',
+      actor,
+      before: { severity: previousSeverity },
+      after: { severity: incident.severity, summary: aiAnalysis.summary },
+      meta: { attachmentId: attachment._id },
+      io
+    });
+
+    return aiAnalysis;
+  } catch (error) {
+    console.error(`Failed to reanalyze incident ${incident._id} with new media:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Attach uploaded files to an incident
+ * @param {Object} params - { incidentId, files, actor, io }
+ *   files: multer files (removed from disk if the incident cannot take them)
+ * @returns {Object} - { incident, attachments, aiAnalysis }
+ */
+async function addAttachments({ incidentId, files = [], actor, io = null }) {
+  const discard = () => Promise.all(files.map(file => removeUploadedFile(`/uploads/${file.filename}`)));
+
+  if (files.length === 0) {
+    throw new HttpError(400, 'At least one media file is required');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    await discard();
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const uploadedBy = uploaderFromActor(actor);
+  const incident = await Incident.findOneAndUpdate(
+    { _id: incidentId, ...Incident.visibleFilter() },
+    { $push: { attachments: { $each: files.map(file => toAttachment(file, uploadedBy)) } } },
+    { new: true }
+  );
+
+  if (!incident) {
+    await discard();
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const attachments = incident.attachments.slice(-files.length);
+
+  // Older clients only read mediaUrl
+  if (!incident.mediaUrl) {
+    incident.mediaUrl = attachments[0].url;
+    await incident.save();
+  }
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'media_added',
+    actor,
+    after: {
+      attachments: attachments.map(attachment => ({
+        attachmentId: attachment._id,
+        url: attachment.url,
+        mimeType: attachment.mimeType
+      }))
+    },
+    io
+  });
+
+  // New photos mean the incident is still live
+  await recordActivity(incident._id, { actor, io, reason: 'media' });
+
+  const image = attachments.find(isImage);
+  const aiAnalysis = image ? await reanalyzeWithImage(incident, image, actor, io) : null;
+
+  if (io) {
+    io.to(incidentRoom(incident._id)).emit('incident_media_added', {
+      incidentId: incident._id,
+      attachments
+    });
+
+    if (aiAnalysis) {
+      await emitIncidentEvent(io, 'incident_updated', incident, {
+        incidentId: incident._id,
+        severity: incident.severity,
+        updatedAt: incident.updatedAt
+      });
+    }
+  }
+
+  return { incident, attachments, aiAnalysis };
+}
+
+/**
+ * Remove one attachment and its file
+ * @param {Object} params - { incidentId, attachmentId, actor, io }
+ * @returns {Object} - Updated incident
+ */
+async function removeAttachment({ incidentId, attachmentId, actor, io = null }) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findById(incidentId);
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const attachment = mongoose.Types.ObjectId.isValid(attachmentId)
+    ? incident.attachments.id(attachmentId)
+    : null;
+  if (!attachment) {
+    throw new HttpError(404, 'Attachment not found');
+  }
+
+  const { url } = attachment;
+  incident.attachments.pull(attachment._id);
+
+  if (incident.mediaUrl === url) {
+    incident.mediaUrl = incident.attachments.length > 0 ? incident.attachments[0].url : null;
+  }
+
+  await incident.save();
+  await removeUploadedFile(url);
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'media_removed',
+    actor,
+    before: { attachmentId: attachment._id, url, mimeType: attachment.mimeType },
+    io
+  });
+
+  if (io) {
+    io.to(incidentRoom(incident._id)).emit('incident_media_removed', {
+      incidentId: incident._id,
+      attachmentId: attachment._id
+    });
+  }
+
+  return incident;
+}
+
+module.exports = {
+  addAttachments,
+  removeAttachment
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { ACTIONS, ASSIGNED_ONLY, canOnIncident } = require('../middleware/permissions');
+const { HttpError } = require('./errors');
+const { STATUSES, transitionIncident } = require('./incidentStatus');
+const { assignResponder } = require('./assignments');
+const { findRecommendedResponders } = require('./dispatch');
+const { archiveIncident } = require('./archive');
+const { parseTagChange, updateIncidentTags } = require('./tags');
+const { LIST_SORT, buildIncidentFilter, buildAreaFilter } = require('./incidentFilters');
+
+/**
+ * Bulk incident operations
+ * Each item goes through the same helper as the single-incident route. Helpers
+ * run without `io`; the route emits one batched event for the whole request.
+ */
+
+const MAX_BULK_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 200;
+
+async function loadIncident(incidentId) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findById(incidentId);
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+  return incident;
+}
+
+/**
+ * action -> { permission, validate(params) -> params, run(incidentId, params, actor) -> incident }
+ */
+const BULK_ACTIONS = {
+  status: {
+    permission: ACTIONS.INCIDENT_STATUS,
+    validate: ({ status, note }) => {
+      if (!STATUSES.includes(status)) {
+        throw new HttpError(400, `Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+      }
+      return { status, note };
+    },
+    run: async (incidentId, { status, note }, actor) => {
+      const incident = await loadIncident(incidentId);
+      if (incident.status === status) return incident;
+      return transitionIncident(incident, status, { note, actor });
+    }
+  },
+
+  verify: {
+    permission: ACTIONS.INCIDENT_VERIFY,
+    validate: () => ({}),
+    run: async (incidentId, params, actor) =>
+      transitionIncident(await loadIncident(incidentId), 'Verified', { actor, verify: true })
+  },
+
+  assign: {
+    permission: ACTIONS.INCIDENT_ASSIGN,
+    validate: ({ responderId, auto, reassign }) => {
+      if (!responderId && auto !== true) {
+        throw new HttpError(400, 'responderId or auto: true is required');
+      }
+      return { responderId, auto: auto === true, reassign: reassign === true };
+    },
+    run: async (incidentId, { responderId, auto, reassign }, actor) => {
+      let targetId = responderId;
+
+      // Nearest available responder from the right department, per incident
+      if (auto) {
+        const [nearest] = await findRecommendedResponders(await loadIncident(incidentId), { limit: 1 });
+        if (!nearest) {
+          throw new HttpError(409, 'No available responder nearby');
+        }
+        targetId = nearest._id;
+      }
+
+      return assignResponder({ incidentId, responderId: targetId, actor, reassign });
+    }
+  },
+
+  archive: {
+    permission: ACTIONS.INCIDENT_DELETE,
+    validate: ({ reason }) => {
+      if (!reason || !String(reason).trim()) {
+        throw new HttpError(400, 'A reason is required to delete an incident');
+      }
+      return { reason };
+    },
+    run: (incidentId, { reason }, actor) => archiveIncident({ incidentId, reason, actor })
+  },
+
+  tag: {
+    permission: ACTIONS.INCIDENT_TAG,
+    validate: params => parseTagChange(params),
+    run: (incidentId, { add, remove }, actor) => updateIncidentTags({ incidentId, add, remove, actor })
+  }
+};
+
+/**
+ * Work out which incidents a bulk request targets
+ * @param {Object} params - { ids, filter } (exactly one)
+ * @returns {Array<string>} - Incident IDs
+ */
+async function resolveTargets({ ids, filter }) {
+  if (ids !== undefined && filter !== undefined) {
+    throw new HttpError(400, 'Provide either ids or filter, not both');
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new HttpError(400, 'ids must be a non-empty array');
+    }
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length > MAX_BULK_ITEMS) {
+      throw new HttpError(400, `At most ${MAX_BULK_ITEMS} incidents per request`);
+    }
+    return unique;
+  }
+
+  if (!filter || typeof filter !== 'object' || Object.keys(filter).length === 0) {
+    throw new HttpError(400, 'Provide ids or a non-empty filter');
+  }
+
+  const query = { ...buildIncidentFilter(filter), ...buildAreaFilter(filter) };
+  const total = await Incident.countDocuments(query);
+  if (total > MAX_BULK_ITEMS) {
+    throw new HttpError(400, `Filter matches ${total} incidents; narrow it to at most ${MAX_BULK_ITEMS}`, { total });
+  }
+
+  const matches = await Incident.find(query).select('_id').sort(LIST_SORT).lean();
+  return matches.map(incident => String(incident._id));
+}
+
+/**
+ * Run one action over many incidents, one at a time
+ * Roles limited to their own incidents (ASSIGNED_ONLY) get a 403 result for the rest.
+ * @param {Object} params - { action, params, targets, actor }
+ * @returns {Array} - Per-item results { id, ok, incident? | status, error, details? }
+ */
+async function runBulkAction({ action, params, targets, actor }) {
+  const { run, permission } = BULK_ACTIONS[action];
+  const assignedOnly = (ASSIGNED_ONLY[actor.role] || []).includes(permission);
+  const results = [];
+
+  for (const id of targets) {
+    try {
+      if (assignedOnly && !canOnIncident(actor, permission, await loadIncident(id))) {
+        throw new HttpError(403, `Role '${actor.role}' may only perform '${permission}' on incidents assigned to them`, {
+          action: permission,
+          role: actor.role
+        });
+      }
+
+      const incident = await run(id, params, actor);
+      results.push({ id, ok: true, incident });
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error(`Bulk ${action} failed for incident ${id}:`, error.message);
+        results.push({ id, ok: false, status: 500, error: `Failed to ${action} incident` });
+        continue;
+      }
+      const { error: message, ...details } = error.toJSON();
+      results.push({ id, ok: false, status: error.status, error: message, ...(Object.keys(details).length ? { details } : {}) });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  MAX_BULK_ITEMS,
+  BULK_ACTIONS,
+  resolveTargets,
+  runBulkAction
+};
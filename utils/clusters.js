@@ -0,0 +1,181 @@
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+
+/**
+ * Server-side map aggregation
+ * Incidents are bucketed into a Web Mercator grid sized for the zoom level
+ * (CELLS_PER_TILE cells across each 256px map tile), so the map gets at most a
+ * few hundred buckets however many incidents are in view.
+ */
+
+const CLUSTER_MODES = ['clusters', 'heatmap'];
+const CELLS_PER_TILE = 4;
+const MAX_ZOOM = 20;
+const MAX_CELLS = parseInt(process.env.CLUSTER_MAX_CELLS) || 2000;
+
+// Heatmap intensity per incident
+const HEAT_WEIGHTS = { Critical: 4, High: 3, Medium: 2, Low: 1 };
+
+// Web Mercator stops at ~85.0511 degrees
+const MERCATOR_MAX_LAT = 85.0511;
+
+/**
+ * Parse the zoom query parameter
+ * @returns {number} - Integer zoom 0..MAX_ZOOM
+ * @throws {HttpError} - 400 when missing or not a number
+ */
+function parseZoom(value) {
+  const zoom = parseFloat(value);
+  if (!Number.isFinite(zoom)) {
+    throw new HttpError(400, `zoom is required (0-${MAX_ZOOM})`);
+  }
+  return Math.max(0, Math.min(MAX_ZOOM, Math.floor(zoom)));
+}
+
+function cellLng(x, cells) {
+  return (x / cells) * 360 - 180;
+}
+
+function cellLat(y, cells) {
+  return (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / cells))) * 180) / Math.PI;
+}
+
+/**
+ * Aggregation expression: grid cell index of a latitude (Mercator y)
+ */
+function mercatorCellY(latField, cells) {
+  const lat = { $max: [-MERCATOR_MAX_LAT, { $min: [MERCATOR_MAX_LAT, latField] }] };
+  const mercatorY = {
+    $subtract: [
+      0.5,
+      {
+        $divide: [
+          { $ln: { $tan: { $add: [Math.PI / 4, { $divide: [{ $degreesToRadians: lat }, 2] }] } } },
+          2 * Math.PI
+        ]
+      }
+    ]
+  };
+  return { $floor: { $multiply: [mercatorY, cells] } };
+}
+
+/**
+ * Fold the per (severity, type) breakdown of a cell into count maps
+ */
+function summarize(breakdown) {
+  const bySeverity = {};
+  const byType = {};
+  let weight = 0;
+
+  for (const { severity, type, count } of breakdown) {
+    bySeverity[severity] = (bySeverity[severity] || 0) + count;
+    byType[type] = (byType[type] || 0) + count;
+    weight += (HEAT_WEIGHTS[severity] || 1) * count;
+  }
+
+  return { bySeverity, byType, weight };
+}
+
+/**
+ * Aggregate the incidents matching a query into map clusters or heatmap cells
+ * @param {Object} params - { query (MongoDB filter incl. the viewport area filter), zoom, mode }
+ * @returns {Object} - { total, truncated, clusters } or { total, truncated, cells }
+ */
+async function aggregateIncidents({ query, zoom, mode = 'clusters' }) {
+  const cells = Math.pow(2, zoom) * CELLS_PER_TILE;
+
+  const cellStages = [
+    {
+      $project: {
+        severity: 1,
+        type: 1,
+        lat: '$location.lat',
+        lng: '$location.lng'
+      }
+    },
+    {
+      $addFields: {
+        x: { $floor: { $multiply: [{ $divide: [{ $add: ['$lng', 180] }, 360] }, cells] } },
+        y: mercatorCellY('$lat', cells)
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$x', y: '$y', severity: '$severity', type: '$type' },
+        count: { $sum: 1 },
+        sumLat: { $sum: '$lat' },
+        sumLng: { $sum: '$lng' },
+        incidentId: { $first: '$_id' }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        count: { $sum: '$count' },
+        sumLat: { $sum: '$sumLat' },
+        sumLng: { $sum: '$sumLng' },
+        incidentId: { $first: '$incidentId' },
+        breakdown: { $push: { severity: '$_id.severity', type: '$_id.type', count: '$count' } }
+      }
+    },
+    { $sort: { count: -1 } },
+    { $limit: MAX_CELLS + 1 }
+  ];
+
+  // Counted separately so the total still covers the cells dropped by truncation
+  const [result] = await Incident.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        buckets: cellStages
+      }
+    }
+  ]);
+
+  const truncated = result.buckets.length > MAX_CELLS;
+  const kept = result.buckets.slice(0, MAX_CELLS);
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  const results = kept.map(bucket => {
+    const { x, y } = bucket._id;
+    const { bySeverity, byType, weight } = summarize(bucket.breakdown);
+    const bounds = [cellLng(x, cells), cellLat(y + 1, cells), cellLng(x + 1, cells), cellLat(y, cells)];
+
+    if (mode === 'heatmap') {
+      return {
+        id: `${zoom}/${x}/${y}`,
+        bounds,
+        lat: (bounds[1] + bounds[3]) / 2,
+        lng: (bounds[0] + bounds[2]) / 2,
+        count: bucket.count,
+        weight,
+        bySeverity,
+        byType
+      };
+    }
+
+    return {
+      id: `${zoom}/${x}/${y}`,
+      // Centroid of the incidents, not the cell centre, so single points stay put
+      lat: bucket.sumLat / bucket.count,
+      lng: bucket.sumLng / bucket.count,
+      count: bucket.count,
+      incidentId: bucket.count === 1 ? bucket.incidentId : null,
+      bounds,
+      bySeverity,
+      byType
+    };
+  });
+
+  return mode === 'heatmap'
+    ? { total, truncated, cells: results }
+    : { total, truncated, clusters: results };
+}
+
+module.exports = {
+  CLUSTER_MODES,
+  MAX_ZOOM,
+  parseZoom,
+  aggregateIncidents
+};
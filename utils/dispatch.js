@@ -0,0 +1,99 @@
+/**
+ * Dispatch helpers - match incidents to the nearest suitable responders
+ */
+
+const Responder = require('../models/Responder');
+
+// Incident type -> responder departments that can handle it
+const TYPE_DEPARTMENTS = {
+  Fire: ['Fire'],
+  Medical: ['Medical'],
+  Crime: ['Police'],
+  Accident: ['Traffic', 'Medical'],
+  Infrastructure: ['Traffic', 'General'],
+  Natural: ['Fire', 'Medical', 'General'],
+  Other: ['General']
+};
+
+// Average urban response speed used for arrival estimates
+const AVERAGE_SPEED_KMH = parseFloat(process.env.RESPONDER_AVERAGE_SPEED_KMH) || 40;
+
+/**
+ * Estimate travel time for a straight-line distance
+ * @param {number} distanceMeters - Distance in meters
+ * @returns {number} - Estimated arrival time in whole minutes (min 1)
+ */
+function estimateArrivalMinutes(distanceMeters) {
+  const hours = (distanceMeters / 1000) / AVERAGE_SPEED_KMH;
+  return Math.max(1, Math.ceil(hours * 60));
+}
+
+/**
+ * Rank available responders for an incident by distance
+ * @param {Object} incident - Incident (needs type and location.coordinates)
+ * @param {Object} options - { limit, maxDistanceKm, includeStale, anyDepartment }
+ * @returns {Array} - Responders with distance (m) and etaMinutes
+ */
+async function findRecommendedResponders(incident, options = {}) {
+  const {
+    limit = 5,
+    maxDistanceKm = 50,
+    includeStale = false,
+    anyDepartment = false
+  } = options;
+
+  const query = {
+    status: 'available',
+    active: { $ne: false }
+  };
+
+  const departments = TYPE_DEPARTMENTS[incident.type];
+  if (!anyDepartment && departments) {
+    query.department = { $in: departments };
+  }
+
+  // Without a fresh fix the stored position is unreliable (may still be [0, 0])
+  if (!includeStale) {
+    query.locationStale = false;
+  }
+
+  const responders = await Responder.aggregate([
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: incident.location.coordinates
+        },
+        distanceField: 'distance',
+        maxDistance: maxDistanceKm * 1000,
+        query,
+        spherical: true
+      }
+    },
+    { $limit: limit },
+    {
+      $project: {
+        name: 1,
+        department: 1,
+        phone: 1,
+        status: 1,
+        location: 1,
+        lastLocationAt: 1,
+        locationStale: 1,
+        distance: 1
+      }
+    }
+  ]);
+
+  return responders.map(responder => ({
+    ...responder,
+    distance: Math.round(responder.distance),
+    etaMinutes: estimateArrivalMinutes(responder.distance)
+  }));
+}
+
+module.exports = {
+  TYPE_DEPARTMENTS,
+  estimateArrivalMinutes,
+  findRecommendedResponders
+};
@@ -0,0 +1,23 @@
+/**
+ * Error carrying an HTTP status, thrown by helpers shared across routes
+ * and turned into a JSON response by the route's catch block.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Client-facing message
+   * @param {Object} details - Extra fields merged into the response body
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, ...this.details };
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { recordEvent } = require('./timeline');
+const { checkTransition, transitionIncident } = require('./incidentStatus');
+const { OUTCOMES, applyFlag, removeFlag } = require('./reputation');
+const { emitIncidentEvent } = require('./subscriptions');
+
+/**
+ * False-report flagging
+ * A flag records the responder's verdict, counts against the reporter's
+ * reputation and closes the incident when nobody is working it yet.
+ */
+
+function flagView(flag) {
+  return {
+    outcome: flag.outcome,
+    note: flag.note,
+    flaggedBy: flag.flaggedBy,
+    flaggedAt: flag.flaggedAt
+  };
+}
+
+async function loadIncident(incidentId) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findOne({ _id: incidentId, mergedInto: null })
+    .select('+reporterIdentities');
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+  return incident;
+}
+
+function emitFlag(io, event, incident) {
+  if (!io) return;
+
+  io.to(['responders', 'dispatchers']).emit(event, {
+    incidentId: incident._id,
+    flag: flagView(incident.flag),
+    status: incident.status
+  });
+}
+
+/**
+ * Flag an incident as false, prank or unfounded
+ * @param {Object} params - { incidentId, outcome, note, actor, io }
+ * @returns {Object} - Updated incident
+ */
+async function flagIncident({ incidentId, outcome, note = '', actor, io = null }) {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new HttpError(400, `Invalid outcome. Must be one of: ${OUTCOMES.join(', ')}`);
+  }
+
+  let incident = await loadIncident(incidentId);
+  const before = incident.flag.outcome ? flagView(incident.flag) : null;
+
+  incident.flag = {
+    outcome,
+    note: String(note || '').trim(),
+    flaggedBy: actor.id || null,
+    flaggedAt: new Date()
+  };
+  await incident.save();
+
+  await applyFlag(incident.reporterIdentities, incident._id, outcome);
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'flagged',
+    actor,
+    before,
+    after: flagView(incident.flag),
+    io
+  });
+
+  // Nothing left to do for a bogus report nobody is working on
+  const closeNote = `Flagged as ${outcome}${incident.flag.note ? `: ${incident.flag.note}` : ''}`;
+  if (!incident.archived && !checkTransition(incident, 'Closed', { note: closeNote })) {
+    incident = await transitionIncident(incident, 'Closed', { note: closeNote, actor, io });
+
+    await emitIncidentEvent(io, 'incident_updated', incident, {
+      incidentId: incident._id,
+      status: incident.status,
+      updatedAt: incident.updatedAt
+    });
+  }
+
+  emitFlag(io, 'incident_flagged', incident);
+  return incident;
+}
+
+/**
+ * Withdraw a flag (the reporter's reputation is restored; status is left alone)
+ * @param {Object} params - { incidentId, actor, io }
+ * @returns {Object} - Updated incident
+ */
+async function unflagIncident({ incidentId, actor, io = null }) {
+  const incident = await loadIncident(incidentId);
+
+  if (!incident.flag.outcome) {
+    throw new HttpError(409, 'Incident is not flagged');
+  }
+
+  const before = flagView(incident.flag);
+  incident.flag = { outcome: null, note: '', flaggedBy: null, flaggedAt: null };
+  await incident.save();
+
+  await removeFlag(incident.reporterIdentities, incident._id);
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'unflagged',
+    actor,
+    before,
+    io
+  });
+
+  emitFlag(io, 'incident_unflagged', incident);
+  return incident;
+}
+
+module.exports = {
+  flagIncident,
+  unflagIncident
+};
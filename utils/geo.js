@@ -0,0 +1,440 @@
+const { HttpError } = require('./errors');
+const { calculateDistance } = require('./priorityScorer');
+
+/**
+ * Geometry helpers for map viewports, drawn areas, zone boundaries and
+ * incident affected areas
+ * A bbox is "minLng,minLat,maxLng,maxLat" as sent by map libraries. minLng may
+ * be greater than maxLng when the viewport crosses the antimeridian.
+ */
+
+const EARTH_RADIUS_KM = 6378.1;
+const METERS_PER_DEGREE = 111320;
+
+// Bounds the cost of a user-drawn search area or affected area
+const MAX_POLYGON_POSITIONS = 1000;
+
+// Shapes an incident's affected area may take
+const AREA_TYPES = ['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString'];
+
+// MongoDB rejects geometry S2 cannot use (self-intersecting rings, ...): 16755 on
+// insert into a 2dsphere index, BadValue (2) in a query
+const INVALID_GEOMETRY_CODES = [16755, 2];
+
+// Latitudes are clamped inside the poles so box edges never collapse to a point
+const MAX_LAT = 89.9;
+// Box edges are split into segments of at most this many degrees of longitude,
+// so they follow the parallel instead of a great circle across the pole
+const MAX_EDGE_DEGREES = 10;
+
+// Lets $geoWithin / $geoIntersects use polygons larger than a hemisphere (ring must be counter-clockwise)
+const BIG_POLYGON_CRS = {
+  type: 'name',
+  properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' }
+};
+
+function isPosition(position) {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90;
+}
+
+function isClosedRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) return false;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+function isPolygon(rings) {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(isClosedRing);
+}
+
+function isLine(positions) {
+  return Array.isArray(positions) && positions.length >= 2 && positions.every(isPosition);
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {string} name - Field name for error messages
+ * @returns {string|null} - Error message or null when valid
+ */
+function validatePolygonGeometry(geometry, name = 'geometry') {
+  if (!geometry || typeof geometry !== 'object') {
+    return `${name} must be a GeoJSON Polygon or MultiPolygon`;
+  }
+
+  let valid;
+  if (geometry.type === 'Polygon') {
+    valid = isPolygon(geometry.coordinates);
+  } else if (geometry.type === 'MultiPolygon') {
+    valid = Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isPolygon);
+  } else {
+    return `${name}.type must be Polygon or MultiPolygon`;
+  }
+
+  if (!valid) {
+    return `${name} rings must be closed loops of at least 4 [lng, lat] positions`;
+  }
+  return null;
+}
+
+/**
+ * Validate an incident affected area: a polygon (flood zone, fire perimeter)
+ * or a line (closed road segment)
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateAreaGeometry(geometry, name = 'affectedArea') {
+  if (!geometry || typeof geometry !== 'object' || !AREA_TYPES.includes(geometry.type)) {
+    return `${name} must be a GeoJSON Polygon, MultiPolygon, LineString or MultiLineString`;
+  }
+
+  if (geometry.type === 'LineString') {
+    return isLine(geometry.coordinates) ? null : `${name} must have at least 2 [lng, lat] positions`;
+  }
+
+  if (geometry.type === 'MultiLineString') {
+    const valid = Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isLine);
+    return valid ? null : `${name} lines must have at least 2 [lng, lat] positions each`;
+  }
+
+  return validatePolygonGeometry(geometry, name);
+}
+
+/**
+ * Every line of a geometry (polygon rings count as lines)
+ */
+function linesOf(geometry) {
+  switch (geometry.type) {
+    case 'LineString':
+      return [geometry.coordinates];
+    case 'MultiLineString':
+    case 'Polygon':
+      return geometry.coordinates;
+    case 'MultiPolygon':
+      return geometry.coordinates.flat();
+    default:
+      return [];
+  }
+}
+
+function countPositions(geometry) {
+  return linesOf(geometry).reduce((sum, line) => sum + line.length, 0);
+}
+
+function isInvalidGeometryError(error) {
+  return Boolean(error) && INVALID_GEOMETRY_CODES.includes(error.code) &&
+    (error.code !== 2 || /loop|polygon|geo|edge|vertices/i.test(error.message));
+}
+
+/**
+ * Parse client GeoJSON (a geometry or a Feature wrapping one; JSON-encoded in
+ * query strings and multipart forms)
+ * @param {string|Object} value
+ * @param {string} name - Field name for error messages
+ * @param {Function} validate - (geometry, name) -> error message or null
+ * @returns {Object} - { type, coordinates }
+ * @throws {HttpError} - 400 when malformed or too detailed
+ */
+function parseGeometry(value, name, validate) {
+  let geometry = value;
+
+  if (typeof value === 'string') {
+    try {
+      geometry = JSON.parse(value);
+    } catch (error) {
+      throw new HttpError(400, `${name} must be JSON-encoded GeoJSON`);
+    }
+  }
+
+  if (geometry && geometry.type === 'Feature') {
+    geometry = geometry.geometry;
+  }
+
+  const validationError = validate(geometry, name);
+  if (validationError) {
+    throw new HttpError(400, validationError);
+  }
+
+  if (countPositions(geometry) > MAX_POLYGON_POSITIONS) {
+    throw new HttpError(400, `${name} may have at most ${MAX_POLYGON_POSITIONS} positions`);
+  }
+
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+/**
+ * Parse a search polygon (GeoJSON Polygon/MultiPolygon)
+ */
+function parsePolygon(value) {
+  return parseGeometry(value, 'polygon', validatePolygonGeometry);
+}
+
+/**
+ * Parse an incident affected area (GeoJSON Polygon/MultiPolygon/LineString/MultiLineString)
+ */
+function parseAreaGeometry(value) {
+  return parseGeometry(value, 'affectedArea', validateAreaGeometry);
+}
+
+function normalizeLng(lng) {
+  return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Parse a bbox query parameter
+ * @param {string} value - "minLng,minLat,maxLng,maxLat"
+ * @returns {Object} - { minLng, minLat, maxLng, maxLat, fullWidth }
+ * @throws {HttpError} - 400 when malformed
+ */
+function parseBbox(value) {
+  const parts = String(value).split(',').map(part => parseFloat(part));
+
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    throw new HttpError(400, 'bbox must be minLng,minLat,maxLng,maxLat');
+  }
+
+  const [west, south, east, north] = parts;
+
+  if (south >= north || south < -90 || north > 90) {
+    throw new HttpError(400, 'bbox latitudes must be within -90..90 with minLat < maxLat');
+  }
+
+  // World-wrapped viewports can report longitudes outside -180..180
+  if (east - west >= 360) {
+    return { minLng: -180, minLat: south, maxLng: 180, maxLat: north, fullWidth: true };
+  }
+
+  const minLng = normalizeLng(west);
+  const maxLng = normalizeLng(east);
+  if (minLng === maxLng) {
+    throw new HttpError(400, 'bbox must have a non-zero width');
+  }
+
+  return { minLng, minLat: south, maxLng, maxLat: north, fullWidth: false };
+}
+
+/**
+ * Counter-clockwise GeoJSON ring for a bbox (not used for full-width boxes)
+ */
+function bboxRing({ minLng, minLat, maxLng, maxLat }) {
+  const south = Math.max(minLat, -MAX_LAT);
+  const north = Math.min(maxLat, MAX_LAT);
+  const width = maxLng > minLng ? maxLng - minLng : maxLng + 360 - minLng;
+  const steps = Math.ceil(width / MAX_EDGE_DEGREES);
+
+  const ring = [];
+  for (let i = 0; i <= steps; i++) {
+    ring.push([normalizeLng(minLng + (width * i) / steps), south]);
+  }
+  for (let i = steps; i >= 0; i--) {
+    ring.push([normalizeLng(minLng + (width * i) / steps), north]);
+  }
+  ring.push(ring[0]);
+
+  return ring;
+}
+
+/**
+ * Query fragment matching points of a GeoJSON field inside a bbox
+ * @param {Object} bbox - From parseBbox
+ * @param {string} field - GeoJSON point field (with lat/lng siblings)
+ * @returns {Object} - MongoDB query fragment
+ */
+function withinBbox(bbox, field = 'location') {
+  if (bbox.fullWidth) {
+    if (bbox.minLat <= -90 && bbox.maxLat >= 90) return {};
+    return { [`${field}.lat`]: { $gte: bbox.minLat, $lte: bbox.maxLat } };
+  }
+
+  return {
+    [field]: {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [bboxRing(bbox)],
+          crs: BIG_POLYGON_CRS
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Big polygons covering a bbox, for $geoIntersects against non-point geometry
+ * (a full-width box is split in two halves)
+ * @param {Object} bbox - From parseBbox
+ * @returns {Array<Object>} - GeoJSON polygons
+ */
+function bboxGeometries(bbox) {
+  const boxes = bbox.fullWidth
+    ? [{ ...bbox, minLng: -180, maxLng: 0 }, { ...bbox, minLng: 0, maxLng: 180 }]
+    : [bbox];
+
+  return boxes.map(box => ({
+    type: 'Polygon',
+    coordinates: [bboxRing(box)],
+    crs: BIG_POLYGON_CRS
+  }));
+}
+
+/**
+ * Polygon approximating a circle on the sphere ($centerSphere only works
+ * with $geoWithin, so intersections with lines and polygons need this)
+ * @param {Object} center - { lat, lng }
+ * @param {number} radiusKm
+ * @param {number} segments
+ * @returns {Object} - GeoJSON polygon (counter-clockwise, big polygon CRS)
+ */
+function circlePolygon({ lat, lng }, radiusKm, segments = 32) {
+  const φ1 = (lat * Math.PI) / 180;
+  const λ1 = (lng * Math.PI) / 180;
+  const δ = Math.min(radiusKm / EARTH_RADIUS_KM, Math.PI * 0.99);
+
+  const ring = [];
+  // Bearings run clockwise, so walk them backwards for a counter-clockwise ring
+  for (let i = segments; i > 0; i--) {
+    const θ = (2 * Math.PI * i) / segments;
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(
+      Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+      Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+    );
+    ring.push([normalizeLng((λ2 * 180) / Math.PI), (φ2 * 180) / Math.PI]);
+  }
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring], crs: BIG_POLYGON_CRS };
+}
+
+/**
+ * Query fragment matching documents whose geometry field intersects a geometry
+ */
+function intersecting(geometry, field = 'affectedArea') {
+  return { [field]: { $geoIntersects: { $geometry: geometry } } };
+}
+
+/**
+ * Query fragment matching points of a GeoJSON field inside a drawn polygon
+ * @param {Object} polygon - From parsePolygon
+ */
+function withinPolygon(polygon, field = 'location') {
+  return { [field]: { $geoWithin: { $geometry: polygon } } };
+}
+
+/**
+ * Query fragment matching points within a radius of a centre.
+ * Unlike $nearSphere this does not impose distance order, so it combines
+ * with other sorts and with countDocuments.
+ * @param {Object} center - { lat, lng }
+ * @param {number} radiusKm
+ */
+function withinRadius({ lat, lng }, radiusKm, field = 'location') {
+  return {
+    [field]: {
+      $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] }
+    }
+  };
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * In-memory point-in-polygon test (planar; fine for city-sized areas)
+ * @param {Array} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+function pointInPolygon(point, geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+  );
+}
+
+/**
+ * Meters from a point to a segment, on a flat projection around the point
+ */
+function distanceToSegment([x, y], a, b) {
+  const scale = Math.cos((y * Math.PI) / 180);
+  const ax = (a[0] - x) * scale;
+  const ay = a[1] - y;
+  const dx = (b[0] - a[0]) * scale;
+  const dy = b[1] - a[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+  return Math.hypot(ax + t * dx, ay + t * dy) * METERS_PER_DEGREE;
+}
+
+/**
+ * Meters from a point to a line or polygon (0 inside a polygon)
+ * @param {Array} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON area geometry
+ * @returns {number}
+ */
+function distanceToGeometry(point, geometry) {
+  if ((geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') && pointInPolygon(point, geometry)) {
+    return 0;
+  }
+
+  let nearest = Infinity;
+  for (const line of linesOf(geometry)) {
+    for (let i = 1; i < line.length; i++) {
+      nearest = Math.min(nearest, distanceToSegment(point, line[i - 1], line[i]));
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Meters from a point to an incident: its reported point or, when it has
+ * one, its affected area, whichever is closer
+ * @param {Object} location - { lat, lng }
+ * @param {Object} incident - Incident with location and optional affectedArea
+ * @returns {number}
+ */
+function distanceToIncident({ lat, lng }, incident) {
+  const toPoint = calculateDistance(lat, lng, incident.location.lat, incident.location.lng);
+  const area = incident.affectedArea;
+
+  if (!area || !area.type) return toPoint;
+  return Math.min(toPoint, distanceToGeometry([Number(lng), Number(lat)], area));
+}
+
+module.exports = {
+  AREA_TYPES,
+  validatePolygonGeometry,
+  validateAreaGeometry,
+  isInvalidGeometryError,
+  linesOf,
+  parseBbox,
+  parsePolygon,
+  parseAreaGeometry,
+  withinBbox,
+  withinPolygon,
+  withinRadius,
+  bboxGeometries,
+  circlePolygon,
+  intersecting,
+  pointInPolygon,
+  distanceToGeometry,
+  distanceToIncident
+};
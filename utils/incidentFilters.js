@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const {
+  parseBbox,
+  parsePolygon,
+  withinBbox,
+  withinPolygon,
+  withinRadius,
+  bboxGeometries,
+  circlePolygon,
+  intersecting
+} = require('./geo');
+
+// Newest first; _id breaks timestamp ties so pages never overlap or skip
+const LIST_SORT = { timestamp: -1, _id: -1 };
+
+/**
+ * Attribute filters shared by the incident list and the endpoints that act on
+ * "the same incidents as the list" (bulk operations, ...)
+ * @param {Object} params - { type, status, severity, tag, zone, startDate, endDate } ('all' = no filter)
+ * @param {Object} base - Starting query (defaults to visible incidents)
+ * @returns {Object} - MongoDB query
+ * @throws {HttpError} - 400 for a malformed zone ID
+ */
+function buildIncidentFilter(params = {}, base = Incident.visibleFilter()) {
+  const { type, status, severity, tag, zone, startDate, endDate } = params;
+  const query = { ...base };
+
+  if (type && type !== 'all') {
+    query.type = type;
+  }
+
+  if (status && status !== 'all') {
+    query.status = status;
+  }
+
+  if (severity && severity !== 'all') {
+    query.severity = severity;
+  }
+
+  if (tag) {
+    query.tags = String(tag).trim().toLowerCase();
+  }
+
+  if (zone && zone !== 'all') {
+    if (!mongoose.Types.ObjectId.isValid(zone)) {
+      throw new HttpError(400, 'Invalid zone ID');
+    }
+    query.zones = new mongoose.Types.ObjectId(String(zone));
+  }
+
+  if (startDate) {
+    query.timestamp = { ...query.timestamp, $gte: new Date(startDate) };
+  }
+
+  if (endDate) {
+    query.timestamp = { ...query.timestamp, $lte: new Date(endDate) };
+  }
+
+  return query;
+}
+
+/**
+ * Location filter shared by the list and bulk operations (one area at a time).
+ * An incident matches when its point is inside, or its affected area crosses in.
+ * @param {Object} params - { lat, lng, radius (km, default 50) } | { bbox } | { polygon }
+ * @returns {Object} - Query fragment on `location` / `affectedArea` ({} without an area)
+ * @throws {HttpError} - 400 for malformed or combined areas
+ */
+function buildAreaFilter({ lat, lng, radius = 50, bbox, polygon } = {}) {
+  const hasCenter = Boolean(lat && lng);
+
+  if ([hasCenter, Boolean(bbox), Boolean(polygon)].filter(Boolean).length > 1) {
+    throw new HttpError(400, 'Use only one of lat/lng, bbox or polygon');
+  }
+
+  if (bbox) {
+    const box = parseBbox(bbox);
+    const points = withinBbox(box);
+    // The whole globe: nothing to filter
+    if (Object.keys(points).length === 0) return points;
+    return orAffectedArea(points, bboxGeometries(box));
+  }
+
+  if (polygon) {
+    const area = parsePolygon(polygon);
+    return orAffectedArea(withinPolygon(area), [area]);
+  }
+
+  if (hasCenter) {
+    const center = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    const radiusKm = parseFloat(radius);
+
+    if (!Number.isFinite(center.lat) || !Number.isFinite(center.lng)) {
+      throw new HttpError(400, 'lat and lng must be numbers');
+    }
+    if (!(radiusKm > 0)) {
+      throw new HttpError(400, 'radius must be a positive number of km');
+    }
+    return orAffectedArea(withinRadius(center, radiusKm), [circlePolygon(center, radiusKm)]);
+  }
+
+  return {};
+}
+
+/**
+ * Match the reported point, or an affected area touching any of the geometries
+ */
+function orAffectedArea(pointFilter, geometries) {
+  return { $or: [pointFilter, ...geometries.map(geometry => intersecting(geometry))] };
+}
+
+/**
+ * Opaque keyset cursor pointing just after an incident in LIST_SORT order
+ * (also used for timeline events, which have the same timestamp/_id keys)
+ */
+function encodeCursor(incident) {
+  return Buffer.from(`${new Date(incident.timestamp).getTime()}_${incident._id}`).toString('base64url');
+}
+
+/**
+ * Filter for the documents after a cursor in LIST_SORT order
+ * @param {string} cursor - From encodeCursor
+ * @param {Object} options - { ascending } for lists sorted oldest first
+ * @throws {HttpError} - 400 for a malformed cursor
+ */
+function cursorFilter(cursor, { ascending = false } = {}) {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const timestamp = new Date(Number(time));
+
+  if (!time || Number.isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+
+  const _id = new mongoose.Types.ObjectId(id);
+  const past = ascending ? '$gt' : '$lt';
+  return {
+    $or: [
+      { timestamp: { [past]: timestamp } },
+      { timestamp, _id: { [past]: _id } }
+    ]
+  };
+}
+
+module.exports = {
+  LIST_SORT,
+  buildIncidentFilter,
+  buildAreaFilter,
+  encodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,281 @@
+const Incident = require('../models/Incident');
+const IncidentEvent = require('../models/IncidentEvent');
+const Responder = require('../models/Responder');
+const { HttpError } = require('./errors');
+const { SYSTEM_ACTOR, recordEvent } = require('./timeline');
+
+/**
+ * Incident status state machine
+ * Every status change - routes and background automation alike - goes
+ * through transitionIncident so the same table and preconditions apply.
+ * Resolving or closing an incident frees its assignee; reopening it puts the
+ * incident back on their workload.
+ */
+
+const STATUSES = ['Reported', 'Pending', 'Verified', 'Dispatched', 'In Progress', 'Resolved', 'Closed'];
+
+// Finished incidents: the assignee keeps the credit but no longer holds the job
+const FINISHED_STATUSES = ['Resolved', 'Closed'];
+
+// Preconditions return an error message, or null when the transition may proceed
+const requireAssignee = (incident) =>
+  incident.assignedTo ? null : 'An assigned responder is required';
+
+const requireNoAssignee = (incident) =>
+  incident.assignedTo ? 'Unassign the responder first' : null;
+
+const requireNote = (message) => (incident, context) =>
+  (context.note && String(context.note).trim()) ? null : message;
+
+const requireResolutionNote = requireNote('A resolution note is required to resolve an incident');
+const requireCloseReason = requireNote('A reason is required to close an unresolved incident');
+
+// Status -> milestones field stamped the first time an incident reaches it
+const MILESTONES = {
+  Verified: 'verifiedAt',
+  Dispatched: 'dispatchedAt',
+  'In Progress': 'inProgressAt',
+  Resolved: 'resolvedAt',
+  Closed: 'closedAt'
+};
+
+/**
+ * from -> { to: precondition | null }
+ */
+const TRANSITIONS = {
+  Reported: {
+    Pending: null,
+    Verified: null,
+    Dispatched: requireAssignee,
+    Closed: requireCloseReason
+  },
+  Pending: {
+    Reported: null,
+    Verified: null,
+    Closed: requireCloseReason
+  },
+  Verified: {
+    Pending: null,
+    Dispatched: requireAssignee,
+    Closed: requireCloseReason
+  },
+  Dispatched: {
+    Verified: requireNoAssignee,
+    'In Progress': requireAssignee,
+    Resolved: requireResolutionNote
+  },
+  'In Progress': {
+    Verified: requireNoAssignee,
+    Dispatched: requireAssignee,
+    Resolved: requireResolutionNote
+  },
+  Resolved: {
+    'In Progress': requireAssignee,
+    Closed: null
+  },
+  Closed: {}
+};
+
+/**
+ * Statuses reachable from a given status
+ * @param {string} from - Current status
+ * @returns {Array<string>}
+ */
+function allowedTransitions(from) {
+  return Object.keys(TRANSITIONS[from] || {});
+}
+
+/**
+ * Check a transition without applying it
+ * @param {Object} incident - Incident (document or lean object)
+ * @param {string} to - Target status
+ * @param {Object} context - { note }
+ * @returns {string|null} - Error message or null when allowed
+ */
+function checkTransition(incident, to, context = {}) {
+  const from = incident.status;
+
+  if (!STATUSES.includes(to)) {
+    return `Invalid status. Must be one of: ${STATUSES.join(', ')}`;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(TRANSITIONS[from] || {}, to)) {
+    return `Cannot change status from ${from} to ${to}`;
+  }
+
+  const precondition = TRANSITIONS[from][to];
+  return precondition ? precondition(incident, context) : null;
+}
+
+/**
+ * Drop an incident from a responder's workload; they become available again
+ * once nothing else is assigned to them
+ * @param {string} responderId - Responder ID
+ * @param {string} incidentId - Incident ID
+ * @returns {Object|null} - Updated responder
+ */
+async function releaseResponder(responderId, incidentId) {
+  const responder = await Responder.findByIdAndUpdate(
+    responderId,
+    { $pull: { assignedIncidents: incidentId } },
+    { new: true }
+  );
+
+  if (responder && responder.status === 'busy' && responder.assignedIncidents.length === 0) {
+    responder.status = 'available';
+    await responder.save();
+  }
+  return responder;
+}
+
+/**
+ * Keep the assignee's workload in step with a finished or reopened incident
+ */
+async function syncAssigneeWorkload(updated, from, context) {
+  const finishing = FINISHED_STATUSES.includes(updated.status) && !FINISHED_STATUSES.includes(from);
+  const reopening = FINISHED_STATUSES.includes(from) && !FINISHED_STATUSES.includes(updated.status);
+
+  if (!updated.assignedTo || (!finishing && !reopening)) return;
+
+  let event;
+  if (finishing) {
+    await releaseResponder(updated.assignedTo, updated._id);
+    // An offer left pending on a finished incident must not expire into a release later
+    await Incident.updateOne({ _id: updated._id }, { 'assignment.expiresAt': null });
+    event = 'assignment_completed';
+  } else {
+    await Responder.updateOne({ _id: updated.assignedTo }, { $addToSet: { assignedIncidents: updated._id } });
+    await Responder.updateOne({ _id: updated.assignedTo, status: 'available' }, { status: 'busy' });
+    event = 'assignment_reopened';
+  }
+
+  await recordEvent({
+    incidentId: updated._id,
+    action: event,
+    actor: context.actor || SYSTEM_ACTOR,
+    meta: { responderId: updated.assignedTo, status: updated.status },
+    io: context.io
+  });
+
+  if (context.io) {
+    context.io.to(['responders', 'dispatchers']).emit('assignment_updated', {
+      event,
+      incidentId: updated._id,
+      responderId: updated.assignedTo,
+      assignment: updated.assignment
+    });
+  }
+}
+
+/**
+ * Move an incident to a new status
+ * @param {Object} incident - Incident document or lean object
+ * @param {string} to - Target status
+ * @param {Object} context - { note, actor, io, verify } (actor defaults to the system;
+ *   verify marks the incident human-verified and is only passed by the verify actions)
+ * @returns {Object} - Updated incident document
+ * @throws {HttpError} - 409 when the transition is not allowed
+ */
+async function transitionIncident(incident, to, context = {}) {
+  const from = incident.status;
+
+  if (incident.archived) {
+    throw new HttpError(409, 'Incident is archived. Restore it first', { from, to });
+  }
+
+  const error = checkTransition(incident, to, context);
+
+  if (error) {
+    const status = STATUSES.includes(to) ? 409 : 400;
+    throw new HttpError(status, error, { from, to, allowed: allowedTransitions(from) });
+  }
+
+  const update = { status: to };
+
+  // Reaching Verified is not a verification by itself: a released assignment
+  // also drops a dispatched incident back to the verified queue
+  if (to === 'Verified' && context.verify) {
+    update.verified = true;
+  }
+
+  if ((to === 'Resolved' || to === 'Closed') && context.note) {
+    update.resolutionNote = String(context.note).trim();
+  }
+
+  const now = new Date();
+
+  // Only apply if nobody changed the status since we read it.
+  // A status change is activity, so it also clears a stale "awaiting confirmation" mark.
+  let updated = await Incident.findOneAndUpdate(
+    { _id: incident._id, status: from },
+    { ...update, lastActivityAt: now, awaitingConfirmationSince: null },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new HttpError(409, 'Incident status changed concurrently, please retry', { from, to });
+  }
+
+  // Response-time analytics measure from the report to the first time each
+  // milestone is reached, so a reopened incident keeps its original stamps.
+  // The guard is in the filter: the document we were handed may be partial.
+  const milestone = MILESTONES[to];
+  if (milestone) {
+    const stamped = await Incident.findOneAndUpdate(
+      { _id: updated._id, [`milestones.${milestone}`]: null },
+      { [`milestones.${milestone}`]: now },
+      { new: true }
+    );
+    if (stamped) updated = stamped;
+  }
+
+  await recordEvent({
+    incidentId: updated._id,
+    action: 'status_changed',
+    actor: context.actor || SYSTEM_ACTOR,
+    before: { status: from, verified: incident.verified },
+    after: update,
+    io: context.io
+  });
+
+  await syncAssigneeWorkload(updated, from, context);
+
+  return updated;
+}
+
+/**
+ * Stamp missing milestones from the status_changed timeline entries, for
+ * incidents changed before milestones were recorded. Existing stamps are kept.
+ * @returns {number} - Milestones stamped
+ */
+async function backfillMilestones() {
+  const firstReached = await IncidentEvent.aggregate([
+    { $match: { action: 'status_changed', 'after.status': { $in: Object.keys(MILESTONES) } } },
+    { $group: { _id: { incident: '$incident', status: '$after.status' }, at: { $min: '$timestamp' } } }
+  ]);
+
+  if (firstReached.length === 0) return 0;
+
+  const result = await Incident.bulkWrite(firstReached.map(({ _id, at }) => {
+    const field = `milestones.${MILESTONES[_id.status]}`;
+    return {
+      updateOne: {
+        filter: { _id: _id.incident, [field]: null },
+        update: { $set: { [field]: at } }
+      }
+    };
+  }), { ordered: false });
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  STATUSES,
+  MILESTONES,
+  TRANSITIONS,
+  allowedTransitions,
+  checkTransition,
+  releaseResponder,
+  transitionIncident,
+  backfillMilestones
+};
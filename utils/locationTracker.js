@@ -0,0 +1,121 @@
+const Responder = require('../models/Responder');
+
+/**
+ * Live responder location tracking
+ * Responder devices stream `location_update` events; accepted updates are
+ * persisted to Responder.location and relayed to the dispatchers room.
+ */
+
+const UPDATE_INTERVAL_MS = parseInt(process.env.LOCATION_UPDATE_INTERVAL_MS) || 5000;
+const STALE_AFTER_MS = parseInt(process.env.LOCATION_STALE_MS) || 2 * 60 * 1000;
+
+// responderId -> timestamp of last accepted update
+const lastAccepted = new Map();
+
+/**
+ * Validate and normalise a location payload
+ * @param {Object} payload - { lat, lng, accuracy?, heading?, speed? }
+ * @returns {Object|null} - Normalised position or null if invalid
+ */
+function parsePosition(payload) {
+  if (!payload) return null;
+
+  const lat = parseFloat(payload.lat);
+  const lng = parseFloat(payload.lng);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) ||
+      lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+
+  const optionalNumber = (value) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+
+  return {
+    lat,
+    lng,
+    accuracy: optionalNumber(payload.accuracy),
+    heading: optionalNumber(payload.heading),
+    speed: optionalNumber(payload.speed)
+  };
+}
+
+/**
+ * Handle a location_update from an authenticated responder socket
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Sending socket (socket.data.responder must be set)
+ * @param {Object} payload - Position payload
+ * @returns {Object} - Ack body { ok, error?, retryAfterMs? }
+ */
+async function handleLocationUpdate(io, socket, payload) {
+  const responder = socket.data.responder;
+  const position = parsePosition(payload);
+
+  if (!position) {
+    return { ok: false, error: 'Invalid position. lat and lng are required' };
+  }
+
+  // Throttle per responder, not per socket, so multiple devices can't flood
+  const now = Date.now();
+  const last = lastAccepted.get(responder.id) || 0;
+  if (now - last < UPDATE_INTERVAL_MS) {
+    return { ok: false, error: 'throttled', retryAfterMs: UPDATE_INTERVAL_MS - (now - last) };
+  }
+  lastAccepted.set(responder.id, now);
+
+  // A socket outlives its handshake, so re-check the account is still active
+  const timestamp = new Date(now);
+  const updated = await Responder.findOneAndUpdate(
+    { _id: responder.id, active: { $ne: false } },
+    {
+      location: { type: 'Point', coordinates: [position.lng, position.lat] },
+      lastLocationAt: timestamp,
+      locationStale: false
+    },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    return { ok: false, error: 'Responder not found or deactivated' };
+  }
+
+  io.to('dispatchers').emit('responder_location', {
+    responderId: updated._id,
+    name: updated.name,
+    department: updated.department,
+    status: updated.status,
+    ...position,
+    timestamp
+  });
+
+  return { ok: true };
+}
+
+/**
+ * Mark responders whose devices stopped reporting as stale
+ * @param {Object} io - Socket.IO server
+ * @returns {number} - Number of responders newly marked stale
+ */
+async function markStaleLocations(io) {
+  const cutoff = new Date(Date.now() - STALE_AFTER_MS);
+  const filter = { locationStale: false, lastLocationAt: { $lt: cutoff } };
+
+  const stale = await Responder.find(filter).select('_id lastLocationAt').lean();
+  if (stale.length === 0) return 0;
+
+  await Responder.updateMany(
+    { _id: { $in: stale.map(r => r._id) } },
+    { locationStale: true }
+  );
+
+  io.to('dispatchers').emit('responder_location_stale', {
+    responders: stale.map(r => ({ responderId: r._id, lastLocationAt: r.lastLocationAt }))
+  });
+
+  return stale.length;
+}
+
+module.exports = {
+  STALE_AFTER_MS,
+  handleLocationUpdate,
+  markStaleLocations
+};
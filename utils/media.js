@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+/**
+ * Delete an uploaded file given its public URL (e.g. /uploads/123-456.jpg)
+ * Only files directly inside uploads/ are ever touched.
+ * @param {string} url - Public media URL
+ * @returns {boolean} - true if a file was removed
+ */
+async function removeUploadedFile(url) {
+  if (!url) return false;
+
+  const filePath = path.join(UPLOADS_DIR, path.basename(url));
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to remove uploaded file:', filePath, error.message);
+    }
+    return false;
+  }
+}
+
+module.exports = { UPLOADS_DIR, removeUploadedFile };
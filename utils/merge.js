@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { SYSTEM_ACTOR, recordEvent } = require('./timeline');
+const { unassignIncident } = require('./assignments');
+const { backfillUpvoteScore } = require('./upvotes');
+const { zoneIdsFor } = require('./zones');
+
+/**
+ * Manual merge / unmerge of duplicate incidents
+ * Merged incidents stay in the database with `mergedInto` set and are hidden
+ * from lists; the primary keeps a linkedReports snapshot of each one.
+ */
+
+const SEVERITY_RANK = { Low: 1, Medium: 2, High: 3, Critical: 4 };
+
+/**
+ * Highest of a list of severities
+ */
+function maxSeverity(severities) {
+  return severities
+    .filter(severity => SEVERITY_RANK[severity])
+    .reduce((max, severity) => (SEVERITY_RANK[severity] > SEVERITY_RANK[max] ? severity : max), 'Low');
+}
+
+/**
+ * The severity an incident had on its own, before anything was merged in
+ */
+function ownSeverity(incident) {
+  return (incident.ai_analysis && incident.ai_analysis.severity) || incident.severity;
+}
+
+/**
+ * Recompute the primary's severity from its own assessment and linked reports
+ */
+function recomputeSeverity(primary) {
+  return maxSeverity([
+    ownSeverity(primary),
+    ...primary.linkedReports.map(report => report.severity)
+  ]);
+}
+
+/**
+ * Weighted upvotes, falling back to the raw count for incidents that predate weighting
+ */
+function upvoteScoreOf(incident) {
+  return incident.upvoteScore != null ? incident.upvoteScore : incident.upvotes;
+}
+
+/**
+ * Snapshot an incident as a linked report
+ */
+function toLinkedReport(incident, mergedBy) {
+  return {
+    incident: incident._id,
+    description: incident.description,
+    mediaUrl: incident.mediaUrl,
+    attachments: (incident.attachments || []).map(attachment =>
+      (typeof attachment.toObject === 'function' ? attachment.toObject() : attachment)),
+    reportedBy: incident.reportedBy,
+    reportedAt: incident.timestamp,
+    location: {
+      lat: incident.location.lat,
+      lng: incident.location.lng,
+      address: incident.location.address
+    },
+    severity: incident.severity,
+    upvotes: incident.upvotes,
+    upvoteScore: upvoteScoreOf(incident),
+    mergedAt: new Date(),
+    mergedBy
+  };
+}
+
+function assertObjectIds(ids, label) {
+  for (const id of ids) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new HttpError(404, `${label} not found: ${id}`);
+    }
+  }
+}
+
+/**
+ * Undo a merge that failed part-way: show the incidents hidden so far again
+ * and drop the linked reports added to the primary
+ */
+async function rollbackMerge(primary, { hidden, linkedIds, added, severity }) {
+  if (hidden.length > 0) {
+    await Incident.updateMany(
+      { _id: { $in: hidden.map(incident => incident._id) }, mergedInto: primary._id },
+      { mergedInto: null }
+    );
+  }
+
+  await Incident.updateOne(
+    { _id: primary._id },
+    {
+      $pull: { linkedReports: { _id: { $in: linkedIds } } },
+      $inc: { upvotes: -added.upvotes, upvoteScore: -added.upvoteScore },
+      severity
+    }
+  );
+}
+
+/**
+ * Fold one or more incidents into a primary incident
+ * @param {Object} params - { primaryId, incidentIds, actor, io }
+ * @returns {Object} - Updated primary incident
+ */
+async function mergeIncidents({ primaryId, incidentIds, actor = SYSTEM_ACTOR, io = null }) {
+  const ids = [...new Set((incidentIds || []).map(String))];
+
+  if (ids.length === 0) {
+    throw new HttpError(400, 'incidentIds must be a non-empty array');
+  }
+  if (ids.includes(String(primaryId))) {
+    throw new HttpError(400, 'An incident cannot be merged into itself');
+  }
+  assertObjectIds([primaryId], 'Incident');
+  assertObjectIds(ids, 'Incident');
+
+  let primary = await Incident.findOne({ _id: primaryId, ...Incident.visibleFilter() });
+  if (!primary) {
+    throw new HttpError(404, 'Primary incident not found');
+  }
+
+  const secondaries = await Incident.find({ _id: { $in: ids }, ...Incident.visibleFilter() });
+  if (secondaries.length !== ids.length) {
+    const found = secondaries.map(incident => String(incident._id));
+    throw new HttpError(404, 'Some incidents were not found, archived or already merged', {
+      missing: ids.filter(id => !found.includes(id))
+    });
+  }
+
+  // A merged report no longer needs its own unit. Done up front so a failed
+  // unassign leaves nothing merged.
+  for (const secondary of secondaries) {
+    if (secondary.assignedTo) {
+      await unassignIncident({ incidentId: secondary._id, actor, io });
+    }
+  }
+
+  const before = { severity: primary.severity, upvotes: primary.upvotes };
+  const reports = secondaries.map(secondary => toLinkedReport(secondary, actor.id || null));
+  const added = { upvotes: 0, upvoteScore: 0 };
+  for (const secondary of secondaries) {
+    added.upvotes += secondary.upvotes;
+    added.upvoteScore += upvoteScoreOf(secondary);
+  }
+
+  // Link the reports before hiding anything, so every hidden incident is
+  // always reachable from the primary for an unmerge. The totals go in with
+  // $inc so upvotes landing on the primary meanwhile are kept.
+  await backfillUpvoteScore(primary._id);
+  primary = await Incident.findOneAndUpdate(
+    { _id: primary._id, ...Incident.visibleFilter() },
+    {
+      $push: { linkedReports: { $each: reports } },
+      $inc: { upvotes: added.upvotes, upvoteScore: added.upvoteScore },
+      severity: recomputeSeverity({
+        ai_analysis: primary.ai_analysis,
+        severity: primary.severity,
+        linkedReports: [...primary.linkedReports, ...reports]
+      })
+    },
+    { new: true }
+  );
+  if (!primary) {
+    throw new HttpError(409, 'Primary incident was archived or merged concurrently');
+  }
+
+  const linkedIds = primary.linkedReports.slice(-secondaries.length).map(report => report._id);
+  const hidden = [];
+
+  try {
+    for (const secondary of secondaries) {
+      const updated = await Incident.findOneAndUpdate(
+        { _id: secondary._id, mergedInto: null },
+        { mergedInto: primary._id },
+        { new: true }
+      );
+      if (!updated) {
+        throw new HttpError(409, `Incident ${secondary._id} was merged concurrently`);
+      }
+      hidden.push(updated);
+    }
+  } catch (error) {
+    await rollbackMerge(primary, { hidden, linkedIds, added, severity: before.severity });
+    throw error;
+  }
+
+  for (const incident of hidden) {
+    await recordEvent({
+      incidentId: incident._id,
+      action: 'merged_into',
+      actor,
+      after: { mergedInto: primary._id },
+      io
+    });
+  }
+
+  await recordEvent({
+    incidentId: primary._id,
+    action: 'merged',
+    actor,
+    before,
+    after: { severity: primary.severity, upvotes: primary.upvotes },
+    meta: { incidentIds: secondaries.map(incident => incident._id) },
+    io
+  });
+
+  return primary;
+}
+
+/**
+ * Undo merges: restore manually merged incidents and split auto-merged
+ * reports out into new incidents
+ * @param {Object} params - { primaryId, incidentIds, reportIds, actor, io }
+ *   incidentIds: source incidents of manual merges
+ *   reportIds: linkedReports entry ids (required for auto-merged reports)
+ * @returns {Object} - { incident: updated primary, restored: [incidents] }
+ */
+async function unmergeIncidents({ primaryId, incidentIds = [], reportIds = [], actor = SYSTEM_ACTOR, io = null }) {
+  if (incidentIds.length === 0 && reportIds.length === 0) {
+    throw new HttpError(400, 'Provide incidentIds or reportIds to unmerge');
+  }
+  assertObjectIds([primaryId], 'Incident');
+  assertObjectIds(incidentIds, 'Incident');
+  assertObjectIds(reportIds, 'Linked report');
+
+  const primary = await Incident.findById(primaryId);
+  if (!primary) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const reports = primary.linkedReports.filter(report =>
+    reportIds.map(String).includes(String(report._id)) ||
+    (report.incident && incidentIds.map(String).includes(String(report.incident)))
+  );
+
+  if (reports.length !== new Set([...incidentIds, ...reportIds].map(String)).size) {
+    throw new HttpError(404, 'Some reports are not linked to this incident');
+  }
+
+  const before = { severity: primary.severity, upvotes: primary.upvotes };
+  const restored = [];
+  primary.upvoteScore = upvoteScoreOf(primary);
+
+  for (const report of reports) {
+    let incident;
+
+    if (report.incident) {
+      incident = await Incident.findOneAndUpdate(
+        { _id: report.incident, mergedInto: primary._id },
+        { mergedInto: null },
+        { new: true }
+      );
+    }
+
+    // Auto-merged reports (or a source that has since disappeared) become new incidents
+    if (!incident) {
+      incident = await Incident.create({
+        type: primary.type,
+        description: report.description || primary.description,
+        location: {
+          type: 'Point',
+          coordinates: [report.location.lng, report.location.lat],
+          lat: report.location.lat,
+          lng: report.location.lng,
+          address: report.location.address || ''
+        },
+        severity: report.severity || ownSeverity(primary),
+        reportedBy: report.reportedBy,
+        mediaUrl: report.mediaUrl,
+        attachments: report.attachments || [],
+        upvotes: report.upvotes || 1,
+        upvoteScore: upvoteScoreOf(report) || 1,
+        status: 'Reported',
+        zones: await zoneIdsFor(report.location),
+        timestamp: report.reportedAt
+      });
+    }
+
+    primary.linkedReports.pull(report._id);
+    primary.upvotes = Math.max(1, primary.upvotes - (report.upvotes || 1));
+    primary.upvoteScore = Math.max(0, primary.upvoteScore - (upvoteScoreOf(report) || 1));
+    restored.push(incident);
+
+    await recordEvent({
+      incidentId: incident._id,
+      action: 'unmerged_from',
+      actor,
+      before: { mergedInto: primary._id },
+      io
+    });
+  }
+
+  primary.severity = recomputeSeverity(primary);
+  await primary.save();
+
+  await recordEvent({
+    incidentId: primary._id,
+    action: 'unmerged',
+    actor,
+    before,
+    after: { severity: primary.severity, upvotes: primary.upvotes },
+    meta: { incidentIds: restored.map(incident => incident._id) },
+    io
+  });
+
+  return { incident: primary, restored };
+}
+
+module.exports = {
+  recomputeSeverity,
+  mergeIncidents,
+  unmergeIncidents
+};
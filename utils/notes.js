@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { recordEvent, incidentRoom, incidentStaffRoom } = require('./timeline');
+const { recordActivity } = require('./staleness');
+
+/**
+ * Threaded incident notes
+ * Internal notes only reach staff; public notes also reach the reporter, without
+ * their edit history (a note made public may have started out internal).
+ */
+
+const VISIBILITIES = ['internal', 'public'];
+
+/**
+ * A note as non-staff may see it: no edit history
+ * @param {Object} note - Note subdocument or plain object
+ * @returns {Object}
+ */
+function publicNote(note) {
+  const { edits, ...rest } = typeof note.toObject === 'function' ? note.toObject() : note;
+  return rest;
+}
+
+/**
+ * Push a note event to the right audience
+ */
+function emitNote(io, incidentId, event, note) {
+  if (!io) return;
+
+  io.to(incidentStaffRoom(incidentId)).emit(event, { incidentId, note });
+  if (note.visibility === 'public') {
+    io.to(incidentRoom(incidentId))
+      .except(incidentStaffRoom(incidentId))
+      .emit(event, { incidentId, note: publicNote(note) });
+  }
+}
+
+/**
+ * Sort pinned notes first, then oldest first
+ * @param {Array} notes - Note subdocuments or plain objects
+ * @param {boolean} includeInternal - Whether the caller may see internal notes
+ *   (and edit histories; other callers get publicNote)
+ * @returns {Array}
+ */
+function visibleNotes(notes, includeInternal) {
+  return (notes || [])
+    .filter(note => includeInternal || note.visibility === 'public')
+    .map(note => (includeInternal ? note : publicNote(note)))
+    .sort((a, b) => (b.pinned - a.pinned) || (new Date(a.createdAt) - new Date(b.createdAt)));
+}
+
+/**
+ * Replace an incident's notes with the ones the caller may see
+ * @param {Object} incident - Plain incident object
+ * @param {boolean} includeInternal - Whether the caller may see internal notes
+ * @returns {Object} - The same incident with filtered notes
+ */
+function withVisibleNotes(incident, includeInternal) {
+  incident.notes = visibleNotes(incident.notes, includeInternal);
+  return incident;
+}
+
+function validateVisibility(visibility) {
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    throw new HttpError(400, `Invalid visibility. Must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+}
+
+/**
+ * Add a note to an incident
+ * @param {Object} params - { incidentId, body, visibility, author, actor, io }
+ *   author: { kind: 'responder'|'reporter', id?, name }
+ * @returns {Object} - The created note
+ */
+async function addNote({ incidentId, body, visibility = 'internal', author, actor, io = null }) {
+  if (!body || !String(body).trim()) {
+    throw new HttpError(400, 'Note body is required');
+  }
+  validateVisibility(visibility);
+
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findByIdAndUpdate(
+    incidentId,
+    {
+      $push: {
+        notes: {
+          author: author.id || null,
+          authorName: author.name || '',
+          authorKind: author.kind,
+          body: String(body).trim(),
+          visibility
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const note = incident.notes[incident.notes.length - 1];
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'note_added',
+    actor,
+    after: { noteId: note._id, body: note.body, visibility: note.visibility },
+    io
+  });
+
+  // Someone is still working on or following the incident
+  await recordActivity(incident._id, { actor, io, reason: 'note' });
+
+  emitNote(io, incident._id, 'note_added', note);
+  return note;
+}
+
+/**
+ * Load an incident and one of its notes
+ */
+async function loadNote(incidentId, noteId) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findById(incidentId);
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const note = mongoose.Types.ObjectId.isValid(noteId) ? incident.notes.id(noteId) : null;
+  if (!note) {
+    throw new HttpError(404, 'Note not found');
+  }
+
+  return { incident, note };
+}
+
+/**
+ * Edit a note's body and/or visibility, keeping the previous version
+ * @param {Object} params - { incidentId, noteId, body, visibility, responder, actor, io }
+ * @returns {Object} - Updated note
+ */
+async function editNote({ incidentId, noteId, body, visibility, responder, actor, io = null }) {
+  validateVisibility(visibility);
+
+  const { incident, note } = await loadNote(incidentId, noteId);
+
+  if (!note.author || !note.author.equals(responder._id)) {
+    throw new HttpError(403, 'Only the author can edit this note');
+  }
+
+  const newBody = body !== undefined ? String(body).trim() : note.body;
+  const newVisibility = visibility !== undefined ? visibility : note.visibility;
+
+  if (!newBody) {
+    throw new HttpError(400, 'Note body is required');
+  }
+
+  if (newBody === note.body && newVisibility === note.visibility) {
+    return note;
+  }
+
+  const before = { body: note.body, visibility: note.visibility };
+
+  note.edits.push({ ...before, editedBy: responder._id, editedAt: new Date() });
+  note.body = newBody;
+  note.visibility = newVisibility;
+  await incident.save();
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'note_edited',
+    actor,
+    before: { noteId: note._id, ...before },
+    after: { noteId: note._id, body: note.body, visibility: note.visibility },
+    io
+  });
+
+  // A note that was public and is now internal must disappear for the reporter
+  if (io && before.visibility === 'public' && note.visibility === 'internal') {
+    io.to(incidentRoom(incident._id))
+      .except(incidentStaffRoom(incident._id))
+      .emit('note_removed', { incidentId: incident._id, noteId: note._id });
+  }
+
+  emitNote(io, incident._id, 'note_updated', note);
+  return note;
+}
+
+/**
+ * Pin or unpin a note
+ * @param {Object} params - { incidentId, noteId, pinned, actor, io }
+ * @returns {Object} - Updated note
+ */
+async function setNotePinned({ incidentId, noteId, pinned, actor, io = null }) {
+  const { incident, note } = await loadNote(incidentId, noteId);
+
+  if (note.pinned === pinned) {
+    return note;
+  }
+
+  note.pinned = pinned;
+  await incident.save();
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: pinned ? 'note_pinned' : 'note_unpinned',
+    actor,
+    after: { noteId: note._id },
+    io
+  });
+
+  emitNote(io, incident._id, 'note_updated', note);
+  return note;
+}
+
+module.exports = {
+  VISIBILITIES,
+  publicNote,
+  visibleNotes,
+  withVisibleNotes,
+  addNote,
+  editNote,
+  setNotePinned
+};
@@ -28,8 +28,9 @@ function calculatePriority(incident, responderLocation = null) {
   score += timeScore;
 
   // 3. Upvote Boost (max 20 points)
-  // More upvotes = higher priority (community validation)
-  const upvoteScore = Math.min(incident.upvotes * 2, 20);
+  // More upvotes = higher priority (community validation), weighted by proximity
+  const confirmations = incident.upvoteScore != null ? incident.upvoteScore : incident.upvotes;
+  const upvoteScore = Math.min(confirmations * 2, 20);
   score += upvoteScore;
 
   // 4. Distance Penalty (if responder location provided)
@@ -59,7 +60,21 @@ function calculatePriority(incident, responderLocation = null) {
     score -= 50;
   }
 
-  // 7. Type-based urgency bonus
+  // 7. Reporter reputation
+  // Reports from reporters with flagged false reports rank lower (max 40 point penalty)
+  if (incident.reporterTrust != null) {
+    score -= Math.round((100 - incident.reporterTrust) * 0.4);
+  }
+  if (incident.flag && incident.flag.outcome) {
+    score -= 50;
+  }
+
+  // 8. SLA escalation (+15 points per level while the breach lasts)
+  if (incident.escalation && incident.escalation.active) {
+    score += Math.min(incident.escalation.level, 3) * 15;
+  }
+
+  // 9. Type-based urgency bonus
   const typeBonus = {
     'Medical': 10,
     'Fire': 10,
@@ -73,6 +88,34 @@ function calculatePriority(incident, responderLocation = null) {
   return Math.max(0, Math.min(200, Math.round(score)));
 }
 
+/**
+ * Score an AI assessment at report time (stored as ai_analysis.priorityScore)
+ * An emergency image adds up to 20 points; a non-emergency image costs 30 and
+ * downgrades Critical/High severity to Medium.
+ * @param {Object} aiAnalysis - Result of analyzeIncident (severity may be downgraded in place)
+ * @returns {number} - Priority score (10-100 range)
+ */
+function reportPriorityScore(aiAnalysis) {
+  let score = 50;
+
+  const severityScores = { Critical: 40, High: 30, Medium: 20, Low: 10 };
+  score += severityScores[aiAnalysis.severity] || 20;
+
+  const image = aiAnalysis.imageAnalysis;
+  if (image) {
+    if (image.isEmergency) {
+      score += Math.round(image.confidence * 0.2);
+    } else {
+      score -= 30;
+      if (aiAnalysis.severity === 'Critical' || aiAnalysis.severity === 'High') {
+        aiAnalysis.severity = 'Medium';
+      }
+    }
+  }
+
+  return Math.max(10, Math.min(100, score));
+}
+
 /**
  * Calculate distance between two points using Haversine formula
  */
@@ -122,5 +165,6 @@ module.exports = {
   calculatePriority,
   sortIncidentsByPriority,
   getPriorityLevel,
+  reportPriorityScore,
   calculateDistance
 };
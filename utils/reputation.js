@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const ReporterReputation = require('../models/ReporterReputation');
+const { hashTrackingToken } = require('./tracking');
+
+/**
+ * Reporter reputation
+ * Anonymous reporters are known by hashed identities: the X-Device-Id header,
+ * their IP, and the identities of an earlier report whose tracking token they
+ * present. Flags from responders lower the trust of every identity involved.
+ * An IP is shared by everyone behind the same NAT or carrier gateway, so it is
+ * only a weak signal: it can shave a few priority points but never moves a
+ * reporter out of the top rate-limit tier.
+ */
+
+const OUTCOMES = ['false', 'prank', 'unfounded'];
+
+// Trust points lost per flagged report
+const OUTCOME_PENALTIES = { false: 20, prank: 35, unfounded: 10 };
+
+const MAX_TRUST = 100;
+
+// Flags older than this no longer count against a reporter
+const REPUTATION_WINDOW_DAYS = parseInt(process.env.REPUTATION_WINDOW_DAYS) || 90;
+
+// [minimum trust, reports allowed per report-limiter window]; lowest tier catches the rest
+const REPORT_LIMITS = [
+  [80, 10],
+  [50, 5]
+];
+const OFFENDER_REPORT_LIMIT = 2;
+
+// Lowest trust a weak (IP) identity can pull a reporter down to
+const WEAK_TRUST_FLOOR = REPORT_LIMITS[0][0];
+
+function isWeakIdentity(identity) {
+  return identity.startsWith('ip:');
+}
+
+function hashIdentity(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Every identity a request can be attributed to
+ * @param {Object} req - Express request
+ * @param {Object} options - { followToken } (looks up the tracking token's earlier report)
+ * @returns {Array<string>} - e.g. ['device:<hash>', 'ip:<hash>']
+ */
+async function reporterIdentities(req, { followToken = true } = {}) {
+  const identities = [];
+
+  const deviceId = req.get('X-Device-Id');
+  if (deviceId) {
+    identities.push(`device:${hashIdentity(deviceId)}`);
+  }
+
+  if (req.ip) {
+    identities.push(`ip:${hashIdentity(req.ip)}`);
+  }
+
+  const trackingToken = req.get('X-Tracking-Token');
+  if (followToken && trackingToken) {
+    const earlier = await Incident.findOne({ trackingTokenHashes: hashTrackingToken(trackingToken) })
+      .select('+reporterIdentities')
+      .lean();
+    if (earlier) {
+      identities.push(...earlier.reporterIdentities);
+    }
+  }
+
+  return [...new Set(identities)];
+}
+
+/**
+ * Trust score of one reputation document (0-100)
+ */
+function trustScore(reputation) {
+  if (!reputation) return MAX_TRUST;
+
+  const since = Date.now() - REPUTATION_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const penalty = reputation.flags
+    .filter(flag => new Date(flag.flaggedAt).getTime() >= since)
+    .reduce((total, flag) => total + (OUTCOME_PENALTIES[flag.outcome] || 0), 0);
+
+  return Math.max(0, MAX_TRUST - penalty);
+}
+
+/**
+ * Lowest trust across a reporter's identities (weak identities count down to
+ * WEAK_TRUST_FLOOR only)
+ * @param {Array<string>} identities
+ * @returns {number} - 0-100
+ */
+async function trustFor(identities) {
+  if (identities.length === 0) return MAX_TRUST;
+
+  const reputations = await ReporterReputation.find({ identity: { $in: identities } }).lean();
+  return reputations.reduce((lowest, reputation) => {
+    const trust = trustScore(reputation);
+    return Math.min(lowest, isWeakIdentity(reputation.identity) ? Math.max(trust, WEAK_TRUST_FLOOR) : trust);
+  }, MAX_TRUST);
+}
+
+/**
+ * Count a report against each identity
+ */
+async function recordReport(identities) {
+  await Promise.all(identities.map(identity => ReporterReputation.updateOne(
+    { identity },
+    { $inc: { reports: 1 }, $set: { lastReportAt: new Date() } },
+    { upsert: true }
+  )));
+}
+
+/**
+ * Add (or replace) the flag for an incident on each identity
+ */
+async function applyFlag(identities, incidentId, outcome) {
+  await Promise.all(identities.map(async (identity) => {
+    await ReporterReputation.updateOne(
+      { identity },
+      { $pull: { flags: { incident: incidentId } } },
+      { upsert: true }
+    );
+    await ReporterReputation.updateOne(
+      { identity },
+      { $push: { flags: { incident: incidentId, outcome, flaggedAt: new Date() } } }
+    );
+  }));
+}
+
+/**
+ * Remove an incident's flag from each identity
+ */
+async function removeFlag(identities, incidentId) {
+  await ReporterReputation.updateMany(
+    { identity: { $in: identities } },
+    { $pull: { flags: { incident: incidentId } } }
+  );
+}
+
+/**
+ * Per-request limit for the report rate limiter: repeat offenders get fewer reports
+ * Falls back to the normal limit when the database is unavailable.
+ */
+async function reportLimitFor(req) {
+  const [, defaultLimit] = REPORT_LIMITS[0];
+
+  if (mongoose.connection.readyState !== 1) {
+    return defaultLimit;
+  }
+
+  try {
+    // Skip the tracking token lookup: this runs before every report
+    const trust = await trustFor(await reporterIdentities(req, { followToken: false }));
+    const tier = REPORT_LIMITS.find(([minTrust]) => trust >= minTrust);
+    return tier ? tier[1] : OFFENDER_REPORT_LIMIT;
+  } catch (error) {
+    console.error('Failed to look up reporter reputation:', error.message);
+    return defaultLimit;
+  }
+}
+
+module.exports = {
+  OUTCOMES,
+  OUTCOME_PENALTIES,
+  MAX_TRUST,
+  hashIdentity,
+  reporterIdentities,
+  trustFor,
+  recordReport,
+  applyFlag,
+  removeFlag,
+  reportLimitFor
+};
@@ -0,0 +1,93 @@
+const Incident = require('../models/Incident');
+const { removeUploadedFile } = require('./media');
+const { recordEvent } = require('./timeline');
+
+/**
+ * Retention job - permanently removes incidents that have been archived
+ * for longer than ARCHIVE_RETENTION_DAYS, together with their media.
+ * Their timeline entries are kept as the audit record.
+ */
+
+const RETENTION_DAYS = parseFloat(process.env.ARCHIVE_RETENTION_DAYS) || 30;
+
+/**
+ * Media URLs referenced by an incident
+ */
+function mediaUrlsFor(incident) {
+  // Auto-merged reports have no incident of their own, so their files live here
+  const linkedMedia = (incident.linkedReports || [])
+    .filter(report => !report.incident)
+    .map(report => report.mediaUrl);
+
+  const attachmentMedia = (incident.attachments || []).map(attachment => attachment.url);
+
+  return [...new Set([incident.mediaUrl, ...attachmentMedia, ...linkedMedia].filter(Boolean))];
+}
+
+/**
+ * Show incidents merged into a purged primary again - with the primary gone
+ * there is nothing left to unmerge them from
+ */
+async function releaseMergedIncidents(primary, io) {
+  const merged = await Incident.find({ mergedInto: primary._id }).select('_id').lean();
+
+  for (const { _id } of merged) {
+    const released = await Incident.updateOne({ _id, mergedInto: primary._id }, { mergedInto: null });
+    if (released.modifiedCount === 0) continue;
+
+    await recordEvent({
+      incidentId: _id,
+      action: 'unmerged_from',
+      before: { mergedInto: primary._id },
+      meta: { reason: 'primary_purged' },
+      io
+    });
+  }
+}
+
+/**
+ * Purge archived incidents past the retention period
+ * @param {Object} io - Socket.IO server
+ * @returns {number} - Number of incidents purged
+ */
+async function purgeArchivedIncidents(io) {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const expired = await Incident.find({
+    archived: true,
+    archivedAt: { $lte: cutoff }
+  }).lean();
+
+  const purgedIds = [];
+  for (const incident of expired) {
+    // Re-check archived in case it was restored while we were sweeping
+    const result = await Incident.deleteOne({ _id: incident._id, archived: true });
+    if (result.deletedCount === 0) continue;
+
+    await releaseMergedIncidents(incident, io);
+
+    const mediaUrls = mediaUrlsFor(incident);
+    await Promise.all(mediaUrls.map(removeUploadedFile));
+
+    await recordEvent({
+      incidentId: incident._id,
+      action: 'purged',
+      before: { archivedAt: incident.archivedAt, archiveReason: incident.archiveReason },
+      meta: { retentionDays: RETENTION_DAYS, mediaRemoved: mediaUrls.length },
+      io
+    });
+
+    purgedIds.push(incident._id);
+  }
+
+  if (purgedIds.length > 0 && io) {
+    io.to('dispatchers').emit('incidents_purged', {
+      incidentIds: purgedIds,
+      count: purgedIds.length
+    });
+  }
+
+  return purgedIds.length;
+}
+
+module.exports = { purgeArchivedIncidents };
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Minimal interval scheduler for background jobs
+ * - Skips a tick while MongoDB is disconnected
+ * - Never runs two ticks of the same job concurrently
+ */
+
+const jobs = new Map();
+
+/**
+ * Register and start a recurring job
+ * @param {string} name - Unique job name (used in logs)
+ * @param {number} intervalMs - Delay between runs
+ * @param {Function} task - Async function to run
+ */
+function scheduleJob(name, intervalMs, task) {
+  if (jobs.has(name)) {
+    clearInterval(jobs.get(name).timer);
+  }
+
+  const job = { running: false, timer: null };
+
+  job.timer = setInterval(async () => {
+    if (job.running || mongoose.connection.readyState !== 1) return;
+
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error.message);
+    } finally {
+      job.running = false;
+    }
+  }, intervalMs);
+
+  // Background jobs should never keep the process alive on their own
+  job.timer.unref();
+  jobs.set(name, job);
+}
+
+/**
+ * Stop every registered job
+ */
+function stopAllJobs() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+}
+
+module.exports = { scheduleJob, stopAllJobs };
@@ -0,0 +1,211 @@
+const Incident = require('../models/Incident');
+const { STATUSES } = require('./incidentStatus');
+const { recordEvent } = require('./timeline');
+const { calculatePriority, getPriorityLevel } = require('./priorityScorer');
+const { alertRooms } = require('./zones');
+
+/**
+ * SLA timers - how quickly an incident must reach a status, per type and severity.
+ * Breaches are escalated by a background job: priority goes up, responders (of the
+ * incident's zones) get `incident_escalated` and supervisors (dispatchers room) get `sla_breach`.
+ */
+
+/**
+ * Default rules. Override with SLA_RULES (JSON array of the same shape).
+ * type/severity '*' match anything; `status` is the status that must be reached
+ * within `minutes` of the report.
+ */
+const DEFAULT_SLA_RULES = [
+  { type: 'Medical', severity: 'Critical', status: 'Dispatched', minutes: 3 },
+  { type: 'Fire', severity: 'Critical', status: 'Dispatched', minutes: 3 },
+  { type: '*', severity: 'Critical', status: 'Dispatched', minutes: 5 },
+  { type: '*', severity: 'High', status: 'Dispatched', minutes: 10 },
+  { type: '*', severity: 'Medium', status: 'Dispatched', minutes: 30 },
+  { type: '*', severity: 'Low', status: 'Verified', minutes: 120 }
+];
+
+// Each further full SLA period overdue raises the level, up to this cap
+const MAX_ESCALATION_LEVEL = parseInt(process.env.SLA_MAX_ESCALATION_LEVEL) || 3;
+
+function isValidRule(rule) {
+  return rule &&
+    typeof rule.type === 'string' &&
+    typeof rule.severity === 'string' &&
+    STATUSES.includes(rule.status) &&
+    Number(rule.minutes) > 0;
+}
+
+function loadRules() {
+  if (!process.env.SLA_RULES) return DEFAULT_SLA_RULES;
+
+  try {
+    const rules = JSON.parse(process.env.SLA_RULES);
+    if (Array.isArray(rules) && rules.length > 0 && rules.every(isValidRule)) {
+      return rules.map(rule => ({ ...rule, minutes: Number(rule.minutes) }));
+    }
+    console.error('SLA_RULES must be a non-empty array of { type, severity, status, minutes }; using defaults');
+  } catch (error) {
+    console.error('SLA_RULES is not valid JSON; using defaults:', error.message);
+  }
+  return DEFAULT_SLA_RULES;
+}
+
+const SLA_RULES = loadRules();
+
+/**
+ * Most specific rule for an incident (exact type beats '*')
+ * @param {Object} incident - { type, severity }
+ * @returns {Object|null}
+ */
+function ruleFor(incident) {
+  const matches = SLA_RULES.filter(rule =>
+    (rule.type === '*' || rule.type === incident.type) &&
+    (rule.severity === '*' || rule.severity === incident.severity)
+  );
+
+  const specificity = rule => (rule.type !== '*') * 2 + (rule.severity !== '*');
+  return matches.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+function hasReached(status, target) {
+  return STATUSES.indexOf(status) >= STATUSES.indexOf(target);
+}
+
+/**
+ * SLA state of an incident right now
+ * @param {Object} incident - Incident (document or lean object)
+ * @param {Date} now
+ * @returns {Object|null} - { rule, deadline, breached, overdueMinutes, level } or null without a rule
+ */
+function slaStatus(incident, now = new Date()) {
+  const rule = ruleFor(incident);
+  if (!rule) return null;
+
+  const deadline = new Date(new Date(incident.timestamp).getTime() + rule.minutes * 60 * 1000);
+  const breached = !hasReached(incident.status, rule.status) && now > deadline;
+  const overdueMinutes = breached ? Math.round((now - deadline) / 60000) : 0;
+  const level = breached
+    ? Math.min(MAX_ESCALATION_LEVEL, 1 + Math.floor(overdueMinutes / rule.minutes))
+    : 0;
+
+  return { rule, deadline, breached, overdueMinutes, level };
+}
+
+/**
+ * Filter for incidents that may still be short of some SLA target
+ */
+function openIncidentFilter() {
+  const furthestTarget = Math.max(...SLA_RULES.map(rule => STATUSES.indexOf(rule.status)));
+
+  return {
+    ...Incident.visibleFilter(),
+    status: { $in: STATUSES.slice(0, furthestTarget) }
+  };
+}
+
+/**
+ * Incidents currently breaching their SLA, most overdue first
+ * @returns {Array} - Lean incidents with an `sla` field
+ */
+async function findSlaBreaches() {
+  const now = new Date();
+  const incidents = await Incident.find(openIncidentFilter()).select('-notes').lean();
+
+  return incidents
+    .map(incident => ({ ...incident, sla: slaStatus(incident, now) }))
+    .filter(incident => incident.sla && incident.sla.breached)
+    .sort((a, b) => b.sla.overdueMinutes - a.sla.overdueMinutes);
+}
+
+/**
+ * Scheduler job: escalate new breaches (and breaches that got worse),
+ * and stand down escalations whose target status has since been reached
+ * @param {Object} io - Socket.IO server
+ * @returns {number} - Number of incidents escalated
+ */
+async function escalateSlaBreaches(io) {
+  const breaches = await findSlaBreaches();
+  let escalated = 0;
+
+  for (const breach of breaches) {
+    const { rule, deadline, overdueMinutes, level } = breach.sla;
+
+    // Only move up a level once, even if several ticks overlap. An escalation
+    // that stood down (e.g. the unit was unassigned again) starts over.
+    const incident = await Incident.findOneAndUpdate(
+      {
+        _id: breach._id,
+        status: breach.status,
+        $or: [
+          { 'escalation.active': { $ne: true } },
+          { 'escalation.level': { $not: { $gte: level } } }
+        ]
+      },
+      {
+        escalation: {
+          level,
+          active: true,
+          targetStatus: rule.status,
+          deadline,
+          escalatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!incident) continue;
+
+    escalated++;
+    const priority = calculatePriority(incident.toObject());
+
+    await recordEvent({
+      incidentId: incident._id,
+      action: 'escalated',
+      before: { level: breach.escalation ? breach.escalation.level : 0 },
+      after: { level, priority },
+      meta: { rule, deadline, overdueMinutes },
+      io
+    });
+
+    if (io) {
+      const payload = {
+        incidentId: incident._id,
+        type: incident.type,
+        severity: incident.severity,
+        status: incident.status,
+        level,
+        targetStatus: rule.status,
+        deadline,
+        overdueMinutes,
+        priority,
+        priorityLevel: getPriorityLevel(priority)
+      };
+
+      io.to(alertRooms(incident, io)).emit('incident_escalated', payload);
+      io.to('dispatchers').emit('sla_breach', payload);
+    }
+  }
+
+  // Escalations end once the incident reaches its target status (or leaves the lists)
+  const active = await Incident.find({ 'escalation.active': true })
+    .select('status escalation archived mergedInto')
+    .lean();
+
+  const resolvedIds = active
+    .filter(incident => incident.archived || incident.mergedInto ||
+      hasReached(incident.status, incident.escalation.targetStatus))
+    .map(incident => incident._id);
+
+  if (resolvedIds.length > 0) {
+    await Incident.updateMany({ _id: { $in: resolvedIds } }, { 'escalation.active': false });
+  }
+
+  return escalated;
+}
+
+module.exports = {
+  SLA_RULES,
+  ruleFor,
+  slaStatus,
+  findSlaBreaches,
+  escalateSlaBreaches
+};
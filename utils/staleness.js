@@ -0,0 +1,211 @@
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { SYSTEM_ACTOR, recordEvent, incidentRoom } = require('./timeline');
+const { transitionIncident } = require('./incidentStatus');
+const { emitIncidentEvent } = require('./subscriptions');
+
+/**
+ * Stale incident cleanup
+ * An incident with no activity for longer than its threshold is first marked
+ * "awaiting confirmation" and its watchers are asked to reconfirm. Without an
+ * upvote, a new nearby report, a note, new media or an area update within the
+ * confirmation window it is closed. Incidents with a responder assigned are
+ * left alone: a unit is on it.
+ */
+
+/**
+ * Default thresholds. Override with STALE_RULES (JSON array of the same shape).
+ * type '*' matches any type; an exact type wins.
+ */
+const DEFAULT_STALE_RULES = [
+  { status: 'Reported', type: '*', hours: 6 },
+  { status: 'Reported', type: 'Infrastructure', hours: 24 },
+  { status: 'Pending', type: '*', hours: 12 },
+  { status: 'Verified', type: '*', hours: 24 },
+  { status: 'Verified', type: 'Infrastructure', hours: 72 }
+];
+
+// Statuses that may be closed without anyone assigned
+const STALE_STATUSES = ['Reported', 'Pending', 'Verified'];
+
+const CONFIRMATION_WINDOW_HOURS = parseFloat(process.env.STALE_CONFIRMATION_HOURS) || 2;
+
+function isValidRule(rule) {
+  return rule &&
+    STALE_STATUSES.includes(rule.status) &&
+    typeof rule.type === 'string' &&
+    Number(rule.hours) > 0;
+}
+
+function loadRules() {
+  if (!process.env.STALE_RULES) return DEFAULT_STALE_RULES;
+
+  try {
+    const rules = JSON.parse(process.env.STALE_RULES);
+    if (Array.isArray(rules) && rules.length > 0 && rules.every(isValidRule)) {
+      return rules.map(rule => ({ ...rule, hours: Number(rule.hours) }));
+    }
+    console.error(`STALE_RULES must be a non-empty array of { status (${STALE_STATUSES.join('|')}), type, hours }; using defaults`);
+  } catch (error) {
+    console.error('STALE_RULES is not valid JSON; using defaults:', error.message);
+  }
+  return DEFAULT_STALE_RULES;
+}
+
+const STALE_RULES = loadRules();
+
+/**
+ * Hours without activity before an incident counts as stale (null when no rule applies)
+ */
+function staleAfterHours(incident) {
+  const rules = STALE_RULES.filter(rule => rule.status === incident.status);
+  const rule = rules.find(r => r.type === incident.type) || rules.find(r => r.type === '*');
+  return rule ? rule.hours : null;
+}
+
+function lastActivity(incident) {
+  return new Date(incident.lastActivityAt || incident.timestamp);
+}
+
+/**
+ * Record activity that shows an incident is still live (upvote, new report,
+ * note, media, area update, assignment).
+ * Clears a pending "awaiting confirmation" mark.
+ * @param {string} incidentId - Incident ID
+ * @param {Object} context - { actor, io, reason }
+ * @returns {boolean} - true if the incident was awaiting confirmation
+ */
+async function recordActivity(incidentId, { actor, io = null, reason } = {}) {
+  const previous = await Incident.findOneAndUpdate(
+    { _id: incidentId },
+    { lastActivityAt: new Date(), awaitingConfirmationSince: null }
+  ).select('awaitingConfirmationSince').lean();
+
+  if (!previous || !previous.awaitingConfirmationSince) {
+    return false;
+  }
+
+  await recordEvent({
+    incidentId,
+    action: 'reconfirmed',
+    actor,
+    before: { awaitingConfirmationSince: previous.awaitingConfirmationSince },
+    meta: { reason },
+    io
+  });
+
+  if (io) {
+    io.to([incidentRoom(incidentId), 'dispatchers']).emit('incident_reconfirmed', { incidentId, reason });
+  }
+  return true;
+}
+
+/**
+ * Mark incidents that went quiet as awaiting confirmation
+ */
+async function markStaleIncidents(io, now) {
+  const minHours = Math.min(...STALE_RULES.map(rule => rule.hours));
+  const quietSince = new Date(now - minHours * 60 * 60 * 1000);
+
+  const candidates = await Incident.find({
+    ...Incident.visibleFilter(),
+    status: { $in: [...new Set(STALE_RULES.map(rule => rule.status))] },
+    assignedTo: null,
+    awaitingConfirmationSince: null,
+    $or: [
+      { lastActivityAt: { $lte: quietSince } },
+      { lastActivityAt: null, timestamp: { $lte: quietSince } }
+    ]
+  }).select('type status timestamp lastActivityAt').lean();
+
+  let marked = 0;
+  for (const candidate of candidates) {
+    const hours = staleAfterHours(candidate);
+    if (!hours || now - lastActivity(candidate) < hours * 60 * 60 * 1000) continue;
+
+    // Skip if anything happened since we looked
+    const incident = await Incident.findOneAndUpdate(
+      { _id: candidate._id, status: candidate.status, assignedTo: null, awaitingConfirmationSince: null },
+      { awaitingConfirmationSince: now },
+      { new: true }
+    );
+    if (!incident) continue;
+
+    marked++;
+    const closesAt = new Date(now.getTime() + CONFIRMATION_WINDOW_HOURS * 60 * 60 * 1000);
+
+    await recordEvent({
+      incidentId: incident._id,
+      action: 'awaiting_confirmation',
+      after: { awaitingConfirmationSince: now, closesAt },
+      meta: { status: incident.status, staleAfterHours: hours },
+      io
+    });
+
+    if (io) {
+      io.to([incidentRoom(incident._id), 'dispatchers']).emit('incident_awaiting_confirmation', {
+        incidentId: incident._id,
+        status: incident.status,
+        closesAt,
+        message: 'Is this still happening? Upvote or report it again to keep it open.'
+      });
+    }
+  }
+  return marked;
+}
+
+/**
+ * Close incidents nobody reconfirmed within the window
+ */
+async function closeUnconfirmedIncidents(io, now) {
+  const cutoff = new Date(now - CONFIRMATION_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const expired = await Incident.find({
+    ...Incident.visibleFilter(),
+    status: { $in: STALE_STATUSES },
+    // An offered or accepted assignment keeps the incident open
+    assignedTo: null,
+    awaitingConfirmationSince: { $lte: cutoff }
+  });
+
+  let closed = 0;
+  for (const incident of expired) {
+    try {
+      const updated = await transitionIncident(incident, 'Closed', {
+        note: `Closed automatically: no confirmation within ${CONFIRMATION_WINDOW_HOURS}h of going stale`,
+        actor: SYSTEM_ACTOR,
+        io
+      });
+      closed++;
+
+      await emitIncidentEvent(io, 'incident_updated', updated, {
+        incidentId: updated._id,
+        status: updated.status,
+        updatedAt: updated.updatedAt
+      });
+    } catch (error) {
+      // Status changed underneath us - it is no longer stale
+      if (!(error instanceof HttpError)) throw error;
+    }
+  }
+  return closed;
+}
+
+/**
+ * Scheduler job: mark stale incidents, then close the unconfirmed ones
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} - { marked, closed }
+ */
+async function sweepStaleIncidents(io) {
+  const now = new Date();
+  const closed = await closeUnconfirmedIncidents(io, now);
+  const marked = await markStaleIncidents(io, now);
+  return { marked, closed };
+}
+
+module.exports = {
+  STALE_RULES,
+  CONFIRMATION_WINDOW_HOURS,
+  recordActivity,
+  sweepStaleIncidents
+};
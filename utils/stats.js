@@ -0,0 +1,117 @@
+const Incident = require('../models/Incident');
+
+/**
+ * Dashboard statistics
+ * Computed in one $facet aggregation and kept in memory. Incident mutations call
+ * invalidateStats; the next read recomputes, and dashboards get the fresh
+ * numbers as `stats_updated` shortly after a burst of changes settles.
+ */
+
+// Bounds staleness of the rolling last24h count when nothing changes
+const CACHE_TTL_MS = parseInt(process.env.STATS_CACHE_TTL_MS) || 60 * 1000;
+// Coalesces bursts (bulk operations, background jobs) into one push
+const PUSH_DELAY_MS = parseInt(process.env.STATS_PUSH_DELAY_MS) || 2000;
+
+let cached = null;
+let cachedAt = 0;
+let pending = null;
+let generation = 0;
+let pushTimer = null;
+
+function countOf(facet) {
+  return facet.length > 0 ? facet[0].count : 0;
+}
+
+/**
+ * Run the stats aggregation
+ * @returns {Object} - { total, critical, high, inProgress, resolved, pending, last24h, byType }
+ */
+async function computeStats() {
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const [result] = await Incident.aggregate([
+    { $match: Incident.visibleFilter() },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        critical: [{ $match: { severity: 'Critical' } }, { $count: 'count' }],
+        high: [{ $match: { severity: 'High' } }, { $count: 'count' }],
+        inProgress: [{ $match: { status: 'In Progress' } }, { $count: 'count' }],
+        resolved: [{ $match: { status: 'Resolved' } }, { $count: 'count' }],
+        pending: [{ $match: { status: { $in: ['Pending', 'Reported'] } } }, { $count: 'count' }],
+        last24h: [{ $match: { timestamp: { $gte: dayAgo } } }, { $count: 'count' }],
+        byType: [{ $group: { _id: '$type', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  return {
+    total: countOf(result.total),
+    critical: countOf(result.critical),
+    high: countOf(result.high),
+    inProgress: countOf(result.inProgress),
+    resolved: countOf(result.resolved),
+    pending: countOf(result.pending),
+    last24h: countOf(result.last24h),
+    byType: result.byType.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * Current stats, from the cache when it is fresh
+ * Concurrent callers share one aggregation.
+ * @returns {Object}
+ */
+async function getStats() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  // A change during an in-flight aggregation needs a new one
+  if (!pending || pending.generation !== generation) {
+    const startedAt = generation;
+    const promise = computeStats()
+      .then(stats => {
+        if (startedAt === generation) {
+          cached = stats;
+          cachedAt = Date.now();
+        }
+        return stats;
+      })
+      .finally(() => {
+        if (pending === promise) pending = null;
+      });
+    promise.generation = startedAt;
+    pending = promise;
+  }
+  return pending;
+}
+
+/**
+ * Drop the cached stats after an incident change and schedule a stats_updated push
+ * @param {Object} io - Socket.IO server (may be null: invalidate only)
+ */
+function invalidateStats(io = null) {
+  cached = null;
+  generation += 1;
+
+  if (!io || pushTimer) return;
+
+  pushTimer = setTimeout(async () => {
+    pushTimer = null;
+    try {
+      io.emit('stats_updated', await getStats());
+    } catch (error) {
+      console.error('Failed to push stats_updated:', error.message);
+    }
+  }, PUSH_DELAY_MS);
+  pushTimer.unref();
+}
+
+module.exports = {
+  getStats,
+  invalidateStats
+};
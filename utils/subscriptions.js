@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const Incident = require('../models/Incident');
+const Subscription = require('../models/Subscription');
+const { HttpError } = require('./errors');
+const { parsePolygon, pointInPolygon, linesOf, distanceToIncident } = require('./geo');
+const { invalidateStats } = require('./stats');
+
+/**
+ * Citizen area-alert subscriptions
+ * A subscribed socket sits in SUBSCRIBERS_ROOM with its watch area in
+ * socket.data.watch. Incident events skip that room on the broadcast and are
+ * re-sent only to the subscribers whose watch matches the incident.
+ * A watch is either ad hoc (set over the socket) or a persisted subscription
+ * the app re-attaches to with its token after reconnecting.
+ */
+
+const SUBSCRIBERS_ROOM = 'subscribers';
+
+const SEVERITY_ORDER = ['Low', 'Medium', 'High', 'Critical'];
+const INCIDENT_TYPES = Incident.schema.path('type').enumValues;
+
+const DEFAULT_RADIUS_KM = 2;
+const MAX_RADIUS_KM = parseFloat(process.env.SUBSCRIPTION_MAX_RADIUS_KM) || 50;
+const SUBSCRIPTION_TTL_DAYS = parseInt(process.env.SUBSCRIPTION_TTL_DAYS) || 30;
+
+function subscriptionRoom(subscriptionId) {
+  return `subscription:${subscriptionId}`;
+}
+
+function hashSubscriptionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function nextExpiry() {
+  return new Date(Date.now() + SUBSCRIPTION_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Validate and normalize a watch area and its filters
+ * @param {Object} params - { lat, lng, radiusKm } or { polygon }, plus minSeverity?, types?
+ * @returns {Object} - { center, radiusKm, polygon, minSeverity, types }
+ * @throws {HttpError} - 400 for invalid input
+ */
+function parseWatch({ lat, lng, radiusKm, polygon, minSeverity = 'Low', types = [] } = {}) {
+  if (!SEVERITY_ORDER.includes(minSeverity)) {
+    throw new HttpError(400, `Invalid minSeverity. Must be one of: ${SEVERITY_ORDER.join(', ')}`);
+  }
+
+  if (!Array.isArray(types) || types.some(type => !INCIDENT_TYPES.includes(type))) {
+    throw new HttpError(400, `types must be an array of: ${INCIDENT_TYPES.join(', ')}`);
+  }
+
+  const filters = { minSeverity, types: [...new Set(types)] };
+
+  if (polygon) {
+    return { center: null, radiusKm: null, polygon: parsePolygon(polygon), ...filters };
+  }
+
+  const center = { lat: parseFloat(lat), lng: parseFloat(lng) };
+  if (!Number.isFinite(center.lat) || !Number.isFinite(center.lng) ||
+      Math.abs(center.lat) > 90 || Math.abs(center.lng) > 180) {
+    throw new HttpError(400, 'A watch area needs lat and lng (with radiusKm) or a polygon');
+  }
+
+  const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : parseFloat(radiusKm);
+  if (!(radius > 0) || radius > MAX_RADIUS_KM) {
+    throw new HttpError(400, `radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+  }
+
+  return { center, radiusKm: radius, polygon: null, ...filters };
+}
+
+/**
+ * The watch of a persisted subscription, as kept on the socket
+ */
+function toWatch(subscription) {
+  const hasPolygon = subscription.polygon && subscription.polygon.type;
+  return {
+    subscriptionId: String(subscription._id),
+    center: hasPolygon ? null : { lat: subscription.center.lat, lng: subscription.center.lng },
+    radiusKm: hasPolygon ? null : subscription.radiusKm,
+    polygon: hasPolygon
+      ? { type: subscription.polygon.type, coordinates: subscription.polygon.coordinates }
+      : null,
+    minSeverity: subscription.minSeverity,
+    types: [...subscription.types]
+  };
+}
+
+/**
+ * Does a polygon watch overlap an affected area? Vertex containment both
+ * ways: close enough for alerting, misses only edges crossing between vertices.
+ */
+function polygonTouchesArea(polygon, area) {
+  const areaVertices = linesOf(area).flat();
+  if (areaVertices.some(position => pointInPolygon(position, polygon))) return true;
+
+  if (area.type !== 'Polygon' && area.type !== 'MultiPolygon') return false;
+  return linesOf(polygon).flat().some(position => pointInPolygon(position, area));
+}
+
+/**
+ * Does an incident fall inside a watch and pass its filters?
+ * An incident with an affected area matches when the area reaches the watch.
+ * @param {Object} watch - From parseWatch / toWatch
+ * @param {Object} incident - Incident with type, severity, location and optional affectedArea
+ * @returns {boolean}
+ */
+function matchesWatch(watch, incident) {
+  if (!incident || !incident.location) return false;
+
+  if (watch.types.length > 0 && !watch.types.includes(incident.type)) {
+    return false;
+  }
+
+  if (SEVERITY_ORDER.indexOf(incident.severity) < SEVERITY_ORDER.indexOf(watch.minSeverity)) {
+    return false;
+  }
+
+  const { lat, lng } = incident.location;
+  const area = incident.affectedArea && incident.affectedArea.type ? incident.affectedArea : null;
+
+  if (watch.polygon) {
+    return pointInPolygon([lng, lat], watch.polygon) ||
+      Boolean(area && polygonTouchesArea(watch.polygon, area));
+  }
+
+  return distanceToIncident(watch.center, incident) <= watch.radiusKm * 1000;
+}
+
+/**
+ * Create a persisted subscription
+ * @param {Object} params - Watch fields (see parseWatch) and label?
+ * @returns {Object} - { subscription, token } (the token is only returned here)
+ */
+async function createSubscription(params) {
+  const watch = parseWatch(params);
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const subscription = await Subscription.create({
+    label: params.label || '',
+    center: watch.center,
+    radiusKm: watch.radiusKm,
+    polygon: watch.polygon || undefined,
+    minSeverity: watch.minSeverity,
+    types: watch.types,
+    tokenHash: hashSubscriptionToken(token),
+    expiresAt: nextExpiry()
+  });
+
+  return { subscription, token };
+}
+
+/**
+ * @throws {HttpError} - 404 for unknown or expired tokens
+ */
+async function findSubscriptionByToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new HttpError(404, 'Subscription not found');
+  }
+
+  const subscription = await Subscription.findOne({
+    tokenHash: hashSubscriptionToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!subscription) {
+    throw new HttpError(404, 'Subscription not found');
+  }
+  return subscription;
+}
+
+/**
+ * Change a subscription's area or filters. A new polygon, or any of
+ * lat/lng/radiusKm, replaces the area; omitted fields keep their values.
+ * @param {Object} params - { subscription, changes, io }
+ * @returns {Object} - Updated subscription
+ */
+async function updateSubscription({ subscription, changes, io = null }) {
+  const current = toWatch(subscription);
+  const pointGiven = ['lat', 'lng', 'radiusKm'].some(field => changes[field] !== undefined);
+
+  let area;
+  if (changes.polygon !== undefined) {
+    area = { polygon: changes.polygon };
+  } else if (pointGiven) {
+    const center = current.center || {};
+    area = {
+      lat: changes.lat !== undefined ? changes.lat : center.lat,
+      lng: changes.lng !== undefined ? changes.lng : center.lng,
+      radiusKm: changes.radiusKm !== undefined ? changes.radiusKm : (current.radiusKm || undefined)
+    };
+  } else {
+    area = current.polygon
+      ? { polygon: current.polygon }
+      : { lat: current.center.lat, lng: current.center.lng, radiusKm: current.radiusKm };
+  }
+
+  const watch = parseWatch({
+    ...area,
+    minSeverity: changes.minSeverity !== undefined ? changes.minSeverity : current.minSeverity,
+    types: changes.types !== undefined ? changes.types : current.types
+  });
+
+  subscription.center = watch.center;
+  subscription.radiusKm = watch.radiusKm;
+  subscription.polygon = watch.polygon || undefined;
+  subscription.minSeverity = watch.minSeverity;
+  subscription.types = watch.types;
+  if (changes.label !== undefined) subscription.label = String(changes.label);
+  subscription.expiresAt = nextExpiry();
+  await subscription.save();
+
+  // Sockets attached to this subscription pick up the new watch
+  if (io) {
+    const sockets = await io.in(subscriptionRoom(subscription._id)).fetchSockets();
+    sockets.forEach(socket => { socket.data.watch = toWatch(subscription); });
+    io.to(subscriptionRoom(subscription._id)).emit('subscription_updated', { subscription });
+  }
+
+  return subscription;
+}
+
+/**
+ * Delete a subscription and detach its sockets
+ */
+async function deleteSubscription({ subscription, io = null }) {
+  await Subscription.deleteOne({ _id: subscription._id });
+
+  if (io) {
+    const room = subscriptionRoom(subscription._id);
+    io.to(room).emit('subscription_deleted', { subscriptionId: subscription._id });
+
+    const sockets = await io.in(room).fetchSockets();
+    sockets.forEach(socket => { socket.data.watch = null; });
+    io.in(room).socketsLeave([SUBSCRIBERS_ROOM, room]);
+  }
+}
+
+/**
+ * Socket: start filtering incident events for this socket
+ * @param {Object} socket - Socket.IO socket
+ * @param {Object} spec - { token } for a persisted subscription, or watch fields (see parseWatch)
+ * @returns {Object} - { subscriptionId?, watch }
+ */
+async function attachSubscription(socket, spec = {}) {
+  detachSubscription(socket);
+
+  let watch;
+  if (spec.token) {
+    const subscription = await findSubscriptionByToken(spec.token);
+    subscription.lastConnectedAt = new Date();
+    subscription.expiresAt = nextExpiry();
+    await subscription.save();
+
+    watch = toWatch(subscription);
+    socket.join(subscriptionRoom(subscription._id));
+  } else {
+    watch = parseWatch(spec);
+  }
+
+  socket.data.watch = watch;
+  socket.join(SUBSCRIBERS_ROOM);
+  return { subscriptionId: watch.subscriptionId || null, watch };
+}
+
+/**
+ * Socket: back to unfiltered broadcasts
+ */
+function detachSubscription(socket) {
+  const watch = socket.data.watch;
+  if (watch && watch.subscriptionId) {
+    socket.leave(subscriptionRoom(watch.subscriptionId));
+  }
+  socket.data.watch = null;
+  socket.leave(SUBSCRIBERS_ROOM);
+}
+
+/**
+ * Emit an incident event: unfiltered to everyone else, and to subscribers
+ * only when the incident matches their watch. Delivery problems are logged,
+ * never thrown, so they cannot fail the change that caused the event.
+ * Every incident event may move the dashboard counts, so it also invalidates them.
+ * @param {Object} io - Socket.IO server (may be null)
+ * @param {string} event - Event name
+ * @param {Object} incident - Incident the event is about
+ * @param {Object} payload - Event payload (unchanged for every recipient)
+ */
+async function emitIncidentEvent(io, event, incident, payload) {
+  invalidateStats(io);
+  if (!io) return;
+
+  io.except(SUBSCRIBERS_ROOM).emit(event, payload);
+
+  try {
+    const sockets = await io.in(SUBSCRIBERS_ROOM).fetchSockets();
+    const matching = sockets
+      .filter(socket => socket.data.watch && matchesWatch(socket.data.watch, incident))
+      .map(socket => socket.id);
+
+    if (matching.length > 0) {
+      io.to(matching).emit(event, payload);
+    }
+  } catch (error) {
+    console.error(`Failed to deliver ${event} to subscribers:`, error.message);
+  }
+}
+
+/**
+ * Same as emitIncidentEvent for an event covering many incidents: each
+ * subscriber gets a payload built from the incidents in its watch
+ * @param {Function} buildPayload - incidents -> payload
+ */
+async function emitIncidentsEvent(io, event, incidents, buildPayload) {
+  invalidateStats(io);
+  if (!io) return;
+
+  io.except(SUBSCRIBERS_ROOM).emit(event, buildPayload(incidents));
+
+  try {
+    const sockets = await io.in(SUBSCRIBERS_ROOM).fetchSockets();
+    for (const socket of sockets) {
+      if (!socket.data.watch) continue;
+      const relevant = incidents.filter(incident => matchesWatch(socket.data.watch, incident));
+      if (relevant.length > 0) {
+        io.to(socket.id).emit(event, buildPayload(relevant));
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to deliver ${event} to subscribers:`, error.message);
+  }
+}
+
+module.exports = {
+  SUBSCRIBERS_ROOM,
+  parseWatch,
+  matchesWatch,
+  createSubscription,
+  findSubscriptionByToken,
+  updateSubscription,
+  deleteSubscription,
+  attachSubscription,
+  detachSubscription,
+  emitIncidentEvent,
+  emitIncidentsEvent
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { SYSTEM_ACTOR, recordEvent } = require('./timeline');
+
+/**
+ * Free-form incident tags set by staff (e.g. "storm-2024", "road-closed")
+ */
+
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,39}$/;
+
+/**
+ * Normalize and validate a list of tags
+ * @param {*} tags - Array of strings (or undefined)
+ * @param {string} field - Field name for error messages
+ * @returns {Array<string>} - Lowercased, trimmed, de-duplicated tags
+ */
+function normalizeTags(tags, field) {
+  if (tags === undefined) return [];
+
+  if (!Array.isArray(tags)) {
+    throw new HttpError(400, `${field} must be an array of tags`);
+  }
+
+  const normalized = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()))];
+  const invalid = normalized.filter(tag => !TAG_PATTERN.test(tag));
+
+  if (invalid.length > 0) {
+    throw new HttpError(400, 'Tags must be 1-40 letters, digits, spaces, "-" or "_"', { invalid });
+  }
+  return normalized;
+}
+
+/**
+ * Validate a { add, remove } tag change
+ * @returns {Object} - { add, remove } normalized
+ */
+function parseTagChange({ add, remove } = {}) {
+  const change = { add: normalizeTags(add, 'add'), remove: normalizeTags(remove, 'remove') };
+
+  if (change.add.length === 0 && change.remove.length === 0) {
+    throw new HttpError(400, 'Provide tags to add or remove');
+  }
+  return change;
+}
+
+/**
+ * Add and/or remove tags on an incident
+ * @param {Object} params - { incidentId, add, remove, actor, io } (add/remove from parseTagChange)
+ * @returns {Object} - Updated incident
+ */
+async function updateIncidentTags({ incidentId, add = [], remove = [], actor = SYSTEM_ACTOR, io = null }) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findOne({ _id: incidentId, mergedInto: null });
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const before = [...incident.tags];
+  const tags = [...new Set([...before.filter(tag => !remove.includes(tag)), ...add])];
+
+  if (tags.length > MAX_TAGS) {
+    throw new HttpError(400, `An incident can have at most ${MAX_TAGS} tags`);
+  }
+
+  if (tags.length === before.length && tags.every(tag => before.includes(tag))) {
+    return incident;
+  }
+
+  incident.tags = tags;
+  await incident.save();
+
+  await recordEvent({
+    incidentId: incident._id,
+    action: 'tags_updated',
+    actor,
+    before: { tags: before },
+    after: { tags },
+    io
+  });
+
+  return incident;
+}
+
+module.exports = {
+  parseTagChange,
+  updateIncidentTags
+};
@@ -0,0 +1,123 @@
+const IncidentEvent = require('../models/IncidentEvent');
+const { HttpError } = require('./errors');
+const { encodeCursor, cursorFilter } = require('./incidentFilters');
+
+/**
+ * Incident timeline - append-only audit trail of every change
+ */
+
+// Actor for scheduler jobs and other automation
+const SYSTEM_ACTOR = Object.freeze({ kind: 'system', name: 'system' });
+
+/**
+ * Build an actor from an Express request
+ * @param {Object} req - Express request (req.responder set by authenticate)
+ * @returns {Object} - { kind, id?, name, role? }
+ */
+function actorFromRequest(req) {
+  if (req.responder) {
+    return {
+      kind: 'responder',
+      id: req.responder._id,
+      name: req.responder.name,
+      role: req.responder.role
+    };
+  }
+  return { kind: 'public', name: 'Anonymous' };
+}
+
+/**
+ * Build an actor for a responder document
+ */
+function responderActor(responder) {
+  return {
+    kind: 'responder',
+    id: responder._id,
+    name: responder.name,
+    role: responder.role
+  };
+}
+
+/**
+ * Room names for everyone viewing an incident, and for staff only
+ */
+function incidentRoom(incidentId) {
+  return `incident:${incidentId}`;
+}
+
+function incidentStaffRoom(incidentId) {
+  return `incident:${incidentId}:staff`;
+}
+
+/**
+ * Append an entry to an incident's timeline and push it to staff viewers.
+ * Failures are logged, never thrown - the change itself already happened.
+ * @param {Object} params - { incidentId, action, actor, before, after, meta, io }
+ * @returns {Object|null} - Saved event or null on failure
+ */
+async function recordEvent({ incidentId, action, actor = SYSTEM_ACTOR, before = null, after = null, meta = null, io = null }) {
+  try {
+    const event = await IncidentEvent.create({
+      incident: incidentId,
+      action,
+      actor,
+      before,
+      after,
+      meta
+    });
+
+    if (io) {
+      io.to([incidentStaffRoom(incidentId), 'dispatchers']).emit('incident_timeline', {
+        incidentId,
+        event
+      });
+    }
+
+    return event;
+  } catch (error) {
+    console.error(`Failed to record "${action}" for incident ${incidentId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch an incident's timeline, oldest first
+ * @param {string} incidentId - Incident ID
+ * @param {Object} options - { limit, after, cursor }
+ *   after: ISO date to start from; cursor: nextCursor of the previous page
+ * @returns {Object} - { events, nextCursor }
+ * @throws {HttpError} - 400 for an invalid date or cursor
+ */
+async function getTimeline(incidentId, { limit = 200, after = null, cursor = null } = {}) {
+  const query = { incident: incidentId };
+  if (after) {
+    const date = new Date(after);
+    if (Number.isNaN(date.getTime())) {
+      throw new HttpError(400, 'after must be a valid date');
+    }
+    query.timestamp = { $gt: date };
+  }
+
+  // Keyset on (timestamp, _id): events sharing a timestamp are not skipped between pages
+  const pageQuery = cursor ? { $and: [query, cursorFilter(cursor, { ascending: true })] } : query;
+
+  const events = await IncidentEvent.find(pageQuery)
+    .sort({ timestamp: 1, _id: 1 })
+    .limit(limit)
+    .lean();
+
+  return {
+    events,
+    nextCursor: events.length === limit ? encodeCursor(events[events.length - 1]) : null
+  };
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  actorFromRequest,
+  responderActor,
+  incidentRoom,
+  incidentStaffRoom,
+  recordEvent,
+  getTimeline
+};
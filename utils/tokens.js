@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// The development fallbacks are public: anyone could mint tokens with them
+if (process.env.NODE_ENV === 'production' && (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET)) {
+  throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set in production');
+}
+
+const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET || 'dev-access-secret-change-me';
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || `${ACCESS_TOKEN_SECRET}-refresh`;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+/**
+ * Issue a short-lived access token for a responder
+ * @param {Object} responder - Responder document
+ * @returns {string} - Signed JWT
+ */
+function signAccessToken(responder) {
+  return jwt.sign(
+    { sub: responder._id.toString(), role: responder.role },
+    ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Issue a long-lived refresh token for a responder
+ * The token version lets logout revoke every outstanding refresh token; the
+ * jti identifies this token so a refresh can retire it
+ * @param {Object} responder - Responder document (with tokenVersion selected)
+ * @returns {string} - Signed JWT
+ */
+function signRefreshToken(responder) {
+  return jwt.sign(
+    { sub: responder._id.toString(), ver: responder.tokenVersion || 0 },
+    REFRESH_TOKEN_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Issue an access/refresh token pair
+ * @param {Object} responder - Responder document (with tokenVersion selected)
+ * @returns {Object} - { accessToken, refreshToken, expiresIn }
+ */
+function issueTokens(responder) {
+  return {
+    accessToken: signAccessToken(responder),
+    refreshToken: signRefreshToken(responder),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Raw JWT
+ * @returns {Object} - Decoded payload (throws if invalid or expired)
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, ACCESS_TOKEN_SECRET);
+}
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Raw JWT
+ * @returns {Object} - Decoded payload (throws if invalid or expired)
+ */
+function verifyRefreshToken(token) {
+  return jwt.verify(token, REFRESH_TOKEN_SECRET);
+}
+
+module.exports = {
+  issueTokens,
+  signAccessToken,
+  verifyAccessToken,
+  verifyRefreshToken
+};
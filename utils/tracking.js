@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const Incident = require('../models/Incident');
+const { HttpError } = require('./errors');
+const { visibleNotes } = require('./notes');
+
+/**
+ * Anonymous reporter tracking tokens
+ * /report hands the reporter a random token; only its SHA-256 hash is stored
+ * on the incident, so the database alone cannot be used to follow a report.
+ */
+
+// Guards against merge cycles when following mergedInto
+const MAX_MERGE_HOPS = 5;
+
+// Token holders may be the original reporter or a report merged into the incident
+const REPORTER_ACTOR = Object.freeze({ kind: 'reporter', name: 'Reporter' });
+
+function hashTrackingToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a new token
+ * @returns {Object} - { token, hash } (token goes to the reporter, hash to the incident)
+ */
+function generateTrackingToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashTrackingToken(token) };
+}
+
+/**
+ * Resolve a token to the incident it now belongs to, following merges
+ * @param {string} token - Token from the reporter
+ * @returns {Object} - Incident document
+ * @throws {HttpError} - 404 for unknown tokens and archived incidents
+ */
+async function findIncidentByToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new HttpError(404, 'Tracking token not found');
+  }
+
+  let incident = await Incident.findOne({ trackingTokenHashes: hashTrackingToken(token) });
+  if (!incident) {
+    throw new HttpError(404, 'Tracking token not found');
+  }
+
+  for (let hops = 0; incident && incident.mergedInto && hops < MAX_MERGE_HOPS; hops++) {
+    incident = await Incident.findById(incident.mergedInto);
+  }
+
+  if (!incident || incident.mergedInto || incident.archived) {
+    throw new HttpError(404, 'This report is no longer available');
+  }
+
+  return incident;
+}
+
+/**
+ * What a reporter may see about their incident
+ * @param {Object} incident - Incident document
+ * @returns {Object}
+ */
+function trackingView(incident) {
+  return {
+    _id: incident._id,
+    type: incident.type,
+    description: incident.description,
+    status: incident.status,
+    severity: incident.severity,
+    verified: incident.verified,
+    upvotes: incident.upvotes,
+    location: {
+      lat: incident.location.lat,
+      lng: incident.location.lng,
+      address: incident.location.address
+    },
+    affectedArea: incident.affectedArea && incident.affectedArea.type ? incident.affectedArea : null,
+    attachments: (incident.attachments || []).map(attachment => ({
+      _id: attachment._id,
+      url: attachment.url,
+      mimeType: attachment.mimeType,
+      uploadedAt: attachment.uploadedAt
+    })),
+    notes: visibleNotes(incident.notes, false).map(note => ({
+      _id: note._id,
+      authorName: note.authorName,
+      authorKind: note.authorKind,
+      body: note.body,
+      pinned: note.pinned,
+      createdAt: note.createdAt
+    })),
+    timestamp: incident.timestamp,
+    updatedAt: incident.updatedAt
+  };
+}
+
+module.exports = {
+  REPORTER_ACTOR,
+  hashTrackingToken,
+  generateTrackingToken,
+  findIncidentByToken,
+  trackingView
+};
@@ -0,0 +1,63 @@
+const multer = require('multer');
+const path = require('path');
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/');
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp|mp4|webm/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Only image and video files are allowed'));
+  }
+});
+
+// Max files accepted by a single follow-up upload
+const MAX_FILES_PER_UPLOAD = 5;
+
+/**
+ * Build an incident attachment from a multer file
+ * @param {Object} file - multer file
+ * @param {Object} uploadedBy - Actor { kind, id?, name }
+ * @returns {Object} - Attachment subdocument
+ */
+function toAttachment(file, uploadedBy) {
+  return {
+    url: `/uploads/${file.filename}`,
+    filename: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy,
+    uploadedAt: new Date()
+  };
+}
+
+/**
+ * Whether a multer file or attachment is an image (and can be sent to the AI)
+ */
+function isImage(fileOrAttachment) {
+  const mimeType = fileOrAttachment.mimetype || fileOrAttachment.mimeType || '';
+  return mimeType.startsWith('image/');
+}
+
+module.exports = {
+  upload,
+  MAX_FILES_PER_UPLOAD,
+  toAttachment,
+  isImage
+};
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const Upvote = require('../models/Upvote');
+const { HttpError } = require('./errors');
+const { recordEvent } = require('./timeline');
+const { hashTrackingToken } = require('./tracking');
+const { hashIdentity } = require('./reputation');
+const { recordActivity } = require('./staleness');
+const { calculateDistance } = require('./priorityScorer');
+const { emitIncidentEvent } = require('./subscriptions');
+
+/**
+ * Community upvotes
+ * One upvote per identity (responder, tracking token or device id), weighted
+ * by how close the voter is to the incident. Only positions the server
+ * recorded count toward that: a responder's tracked location, or the report
+ * behind a tracking token. Device ids are self-issued, so their upvotes get
+ * the remote weight and are capped per IP.
+ */
+
+// [max distance in meters, weight]; anything further or without a position gets REMOTE_WEIGHT
+const PROXIMITY_WEIGHTS = [
+  [1000, 1],
+  [5000, 0.5]
+];
+const REMOTE_WEIGHT = 0.25;
+
+const MIN_DEVICE_ID_LENGTH = 8;
+
+// Device-id upvotes one IP can add to a single incident
+const MAX_DEVICE_UPVOTES_PER_IP = parseInt(process.env.MAX_DEVICE_UPVOTES_PER_IP) || 3;
+
+/**
+ * A responder's last tracked position
+ */
+function trackedLocation(responder) {
+  if (responder.location && Array.isArray(responder.location.coordinates)) {
+    const [lng, lat] = responder.location.coordinates;
+    if (lat || lng) {
+      return { lat, lng };
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out who is voting
+ * Precedence: logged-in responder, then tracking token, then device id.
+ * @param {Object} req - Express request (optionalAuth)
+ *   headers: X-Tracking-Token, X-Device-Id (or trackingToken / deviceId in the body)
+ * @returns {Object} - { identity, identityKind, location, trackedIncidentIds?, ipHash? }
+ */
+async function resolveVoter(req) {
+  const body = req.body || {};
+
+  if (req.responder) {
+    return {
+      identity: `responder:${req.responder._id}`,
+      identityKind: 'responder',
+      location: trackedLocation(req.responder)
+    };
+  }
+
+  const trackingToken = req.get('X-Tracking-Token') || body.trackingToken;
+  if (trackingToken) {
+    const hash = hashTrackingToken(trackingToken);
+    const tracked = await Incident.findOne({ trackingTokenHashes: hash }).select('_id mergedInto location').lean();
+    if (!tracked) {
+      throw new HttpError(400, 'Invalid tracking token');
+    }
+    return {
+      identity: `token:${hash}`,
+      identityKind: 'token',
+      // The token holder was where they reported from
+      location: { lat: tracked.location.lat, lng: tracked.location.lng },
+      trackedIncidentIds: [tracked._id, tracked.mergedInto].filter(Boolean)
+    };
+  }
+
+  const deviceId = req.get('X-Device-Id') || body.deviceId;
+  if (deviceId && String(deviceId).length >= MIN_DEVICE_ID_LENGTH) {
+    return {
+      identity: `device:${hashIdentity(deviceId)}`,
+      identityKind: 'device',
+      location: null,
+      ipHash: hashIdentity(req.ip)
+    };
+  }
+
+  throw new HttpError(400, 'An identity is required to upvote: sign in, or send X-Tracking-Token or X-Device-Id');
+}
+
+/**
+ * Weight of an upvote cast from a location
+ * @returns {Object} - { weight, distanceMeters }
+ */
+function proximityWeight(incident, location) {
+  if (!location || !incident.location) {
+    return { weight: REMOTE_WEIGHT, distanceMeters: null };
+  }
+
+  const distanceMeters = Math.round(calculateDistance(
+    location.lat,
+    location.lng,
+    incident.location.lat,
+    incident.location.lng
+  ));
+
+  const band = PROXIMITY_WEIGHTS.find(([maxMeters]) => distanceMeters <= maxMeters);
+  return { weight: band ? band[1] : REMOTE_WEIGHT, distanceMeters };
+}
+
+/**
+ * Incidents created before weighting have no upvoteScore yet; start it from the raw count
+ */
+async function backfillUpvoteScore(incidentId) {
+  await Incident.updateOne(
+    { _id: incidentId, upvoteScore: null },
+    [{ $set: { upvoteScore: '$upvotes' } }]
+  );
+}
+
+async function loadVisibleIncident(incidentId) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  const incident = await Incident.findOne({ _id: incidentId, ...Incident.visibleFilter() });
+  if (!incident) {
+    throw new HttpError(404, 'Incident not found');
+  }
+  return incident;
+}
+
+async function emitUpvoteUpdate(io, incident) {
+  await emitIncidentEvent(io, 'upvote_update', incident, {
+    incidentId: incident._id,
+    upvotes: incident.upvotes,
+    upvoteScore: incident.upvoteScore,
+    type: incident.type
+  });
+}
+
+/**
+ * Record one upvote for an identity
+ * @param {Object} params - { incidentId, voter, actor, io } (voter from resolveVoter)
+ * @returns {Object} - { incident, weight }
+ * @throws {HttpError} - 409 when this identity already upvoted
+ */
+async function addUpvote({ incidentId, voter, actor, io = null }) {
+  const incident = await loadVisibleIncident(incidentId);
+
+  if ((voter.trackedIncidentIds || []).some(id => incident._id.equals(id))) {
+    throw new HttpError(409, 'Your own report already counts as a confirmation');
+  }
+
+  // Minting device ids is free; the IP they come from is not
+  if (voter.identityKind === 'device') {
+    const fromIp = await Upvote.countDocuments({
+      incident: incident._id,
+      identityKind: 'device',
+      ipHash: voter.ipHash
+    });
+    if (fromIp >= MAX_DEVICE_UPVOTES_PER_IP) {
+      throw new HttpError(429, 'Too many upvotes for this incident from your network');
+    }
+  }
+
+  const { weight, distanceMeters } = proximityWeight(incident, voter.location);
+
+  try {
+    await Upvote.create({
+      incident: incident._id,
+      identity: voter.identity,
+      identityKind: voter.identityKind,
+      ipHash: voter.ipHash || null,
+      weight,
+      distanceMeters
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, 'You have already upvoted this incident');
+    }
+    throw error;
+  }
+
+  await backfillUpvoteScore(incident._id);
+
+  const updated = await Incident.findOneAndUpdate(
+    { _id: incident._id, ...Incident.visibleFilter() },
+    { $inc: { upvotes: 1, upvoteScore: weight } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await Upvote.deleteOne({ incident: incident._id, identity: voter.identity });
+    throw new HttpError(404, 'Incident not found');
+  }
+
+  await recordEvent({
+    incidentId: updated._id,
+    action: 'upvoted',
+    actor,
+    before: { upvotes: updated.upvotes - 1 },
+    after: { upvotes: updated.upvotes, upvoteScore: updated.upvoteScore },
+    meta: { identityKind: voter.identityKind, weight, distanceMeters },
+    io
+  });
+
+  // An upvote keeps a stale incident open
+  await recordActivity(updated._id, { actor, io, reason: 'upvote' });
+
+  await emitUpvoteUpdate(io, updated);
+  return { incident: updated, weight };
+}
+
+/**
+ * Withdraw an identity's upvote
+ * @param {Object} params - { incidentId, voter, actor, io }
+ * @returns {Object} - { incident, weight }
+ */
+async function removeUpvote({ incidentId, voter, actor, io = null }) {
+  const incident = await loadVisibleIncident(incidentId);
+
+  const upvote = await Upvote.findOneAndDelete({ incident: incident._id, identity: voter.identity });
+  if (!upvote) {
+    throw new HttpError(404, 'You have not upvoted this incident');
+  }
+
+  await backfillUpvoteScore(incident._id);
+
+  const updated = await Incident.findByIdAndUpdate(
+    incident._id,
+    { $inc: { upvotes: -1, upvoteScore: -upvote.weight } },
+    { new: true }
+  );
+
+  await recordEvent({
+    incidentId: updated._id,
+    action: 'upvote_removed',
+    actor,
+    before: { upvotes: updated.upvotes + 1 },
+    after: { upvotes: updated.upvotes, upvoteScore: updated.upvoteScore },
+    meta: { identityKind: voter.identityKind, weight: upvote.weight },
+    io
+  });
+
+  await emitUpvoteUpdate(io, updated);
+  return { incident: updated, weight: upvote.weight };
+}
+
+module.exports = {
+  PROXIMITY_WEIGHTS,
+  REMOTE_WEIGHT,
+  resolveVoter,
+  backfillUpvoteScore,
+  addUpvote,
+  removeUpvote
+};
@@ -0,0 +1,159 @@
+const Zone = require('../models/Zone');
+const Incident = require('../models/Incident');
+const Responder = require('../models/Responder');
+const { validatePolygonGeometry, intersecting } = require('./geo');
+
+/**
+ * Jurisdiction zones
+ * Incidents are tagged with every active zone whose boundary contains them
+ * or crosses their affected area.
+ * New-incident alerts go to the zones' rooms, to responders without zones and
+ * to dispatchers; when nobody is connected for any of the zones they also go
+ * to the shared `responders` room. Incidents outside every zone go to
+ * `responders` only.
+ */
+
+// Responders with no zones listed cover every zone
+const ALL_ZONES_ROOM = 'zone:all';
+
+function zoneRoom(zoneId) {
+  return `zone:${zoneId}`;
+}
+
+/**
+ * Zone rooms a responder's sockets belong in
+ * @param {Object} responder - Responder with `zones`
+ * @returns {Array<string>}
+ */
+function responderZoneRooms(responder) {
+  const zones = responder.zones || [];
+  return zones.length > 0 ? zones.map(zoneRoom) : [ALL_ZONES_ROOM];
+}
+
+/**
+ * Whether an authenticated responder is listening in a room
+ * (anonymous joinZone listeners don't count as staffing a zone)
+ */
+function hasResponders(io, room) {
+  const members = io.sockets.adapter.rooms.get(room) || new Set();
+  for (const socketId of members) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && socket.data.responder) return true;
+  }
+  return false;
+}
+
+/**
+ * Validate a zone boundary
+ * @param {Object} boundary - GeoJSON Polygon or MultiPolygon
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateBoundary(boundary) {
+  return validatePolygonGeometry(boundary, 'boundary');
+}
+
+/**
+ * Active zones containing a point or intersecting an area
+ * @param {Object} location - { lat, lng }
+ * @param {Object} area - Optional GeoJSON affected area
+ * @returns {Array} - Lean zones (no boundary)
+ */
+async function findZonesFor(location, area = null) {
+  const point = {
+    type: 'Point',
+    coordinates: [parseFloat(location.lng), parseFloat(location.lat)]
+  };
+  const geometries = area ? [point, area] : [point];
+
+  return Zone.find({
+    active: true,
+    $or: geometries.map(geometry => intersecting(geometry, 'boundary'))
+  }).select('-boundary').lean();
+}
+
+/**
+ * IDs of the active zones for an incident's point and area (what goes in incident.zones)
+ */
+async function zoneIdsFor(location, area = null) {
+  const zones = await findZonesFor(location, area);
+  return zones.map(zone => zone._id);
+}
+
+/**
+ * Socket rooms that should hear about a new or escalated incident
+ * @param {Object} incident - Incident with `zones`
+ * @param {Object} io - Socket.IO server, to check whether the zones have anyone connected
+ * @returns {Array<string>}
+ */
+function alertRooms(incident, io = null) {
+  const zones = incident.zones || [];
+  if (zones.length === 0) return ['responders'];
+
+  const rooms = [...zones.map(zoneRoom), ALL_ZONES_ROOM, 'dispatchers'];
+
+  // An alert for zones no responder is watching must still reach someone
+  if (io && !zones.some(zoneId => hasResponders(io, zoneRoom(zoneId)))) {
+    rooms.push('responders');
+  }
+  return rooms;
+}
+
+/**
+ * Move a responder's connected sockets to the rooms of their current zones
+ * @param {Object} io - Socket.IO server
+ * @param {Object} responder - Responder with `_id` and `zones`
+ */
+async function syncResponderZoneRooms(io, responder) {
+  const rooms = responderZoneRooms(responder);
+  const sockets = await io.in(`responder:${responder._id}`).fetchSockets();
+
+  for (const socket of sockets) {
+    for (const room of socket.rooms) {
+      if (room.startsWith('zone:') && !rooms.includes(room)) socket.leave(room);
+    }
+    socket.join(rooms);
+  }
+}
+
+/**
+ * Re-tag incidents after a zone is created, moved, activated or deactivated
+ * @param {Object} zone - Zone document
+ * @returns {number} - Incidents now tagged with the zone
+ */
+async function syncZoneIncidents(zone) {
+  await Incident.updateMany({ zones: zone._id }, { $pull: { zones: zone._id } });
+
+  if (!zone.active) return 0;
+
+  const result = await Incident.updateMany(
+    {
+      $or: [
+        intersecting(zone.boundary, 'location'),
+        intersecting(zone.boundary, 'affectedArea')
+      ]
+    },
+    { $addToSet: { zones: zone._id } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Drop a deleted zone from incidents and responder memberships
+ * @param {string} zoneId - Zone ID
+ */
+async function detachZone(zoneId) {
+  await Incident.updateMany({ zones: zoneId }, { $pull: { zones: zoneId } });
+  await Responder.updateMany({ zones: zoneId }, { $pull: { zones: zoneId } });
+}
+
+module.exports = {
+  zoneRoom,
+  responderZoneRooms,
+  validateBoundary,
+  findZonesFor,
+  zoneIdsFor,
+  alertRooms,
+  syncResponderZoneRooms,
+  syncZoneIncidents,
+  detachZone
+};